@@ -0,0 +1,69 @@
+const { loadConfig, loadIndex, formatLocalDate } = require('../utils');
+
+function agenda(args, options = {}) {
+    const boardPath = '.';
+
+    // Load config and index
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    const now = new Date();
+    const today = formatLocalDate(now);
+    const weekEnd = formatLocalDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 7));
+
+    // Only open tasks count; the last column is treated as done
+    const lastColumn = config.columns[config.columns.length - 1];
+    const openTasks = Object.entries(index.tasks)
+        .filter(([id, task]) => !lastColumn || task.status !== lastColumn.id);
+
+    const groups = [
+        { name: 'Overdue', tasks: [] },
+        { name: 'Today', tasks: [] },
+        { name: 'This Week', tasks: [] },
+        { name: 'Later', tasks: [] }
+    ];
+    let undatedCount = 0;
+
+    for (const [id, task] of openTasks) {
+        if (!task.due) {
+            undatedCount++;
+        } else if (task.due < today) {
+            groups[0].tasks.push({ id, ...task });
+        } else if (task.due === today) {
+            groups[1].tasks.push({ id, ...task });
+        } else if (task.due < weekEnd) {
+            groups[2].tasks.push({ id, ...task });
+        } else {
+            groups[3].tasks.push({ id, ...task });
+        }
+    }
+
+    let printed = 0;
+    for (const group of groups) {
+        if (group.tasks.length === 0) continue;
+
+        group.tasks.sort((a, b) => a.due.localeCompare(b.due));
+
+        if (printed > 0) console.log('');
+        console.log(`${group.name} (${group.tasks.length})`);
+        console.log('-'.repeat(80));
+
+        for (const task of group.tasks) {
+            const title = task.title.substring(0, 36).padEnd(36);
+            const column = task.status.substring(0, 13).padEnd(13);
+            console.log(`${task.due}  ${task.id}  ${title} ${column} ${task.priority}`);
+        }
+        printed++;
+    }
+
+    if (printed === 0) {
+        console.log('No open tasks with a due date');
+    }
+
+    if (undatedCount > 0) {
+        console.log('');
+        console.log(`${undatedCount} open task(s) without a due date`);
+    }
+}
+
+module.exports = agenda;
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    findDependencyCycles,
+    modifyTaskFile,
+    addHistoryEntry,
+    success,
+    error
+} = require('../utils');
+const { setField } = require('../frontmatter');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+function block(args) {
+    const boardPath = '.';
+
+    // Parse arguments
+    const taskId = args[0];
+    const blockerId = args[1];
+
+    if (!taskId || !blockerId) {
+        error('Usage: flatban block <task-id> <blocker-id>');
+    }
+
+    const index = loadIndex(boardPath);
+
+    let fullTaskId;
+    let fullBlockerId;
+    try {
+        fullTaskId = findTaskByPartialId(index, taskId);
+        fullBlockerId = findTaskByPartialId(index, blockerId);
+    } catch (err) {
+        error(err.message);
+    }
+
+    if (fullTaskId === fullBlockerId) {
+        error('A task cannot block itself');
+    }
+
+    const task = index.tasks[fullTaskId];
+    const blockedBy = task.blocked_by || [];
+
+    if (blockedBy.includes(fullBlockerId)) {
+        success(`${fullTaskId} is already blocked by ${fullBlockerId}`);
+        return;
+    }
+
+    // Refuse links that would make tasks wait on each other
+    const newBlockedBy = [...blockedBy, fullBlockerId];
+    const trialIndex = { tasks: { ...index.tasks, [fullTaskId]: { ...task, blocked_by: newBlockedBy } } };
+    const cycle = findDependencyCycles(trialIndex).find(ids => ids.includes(fullTaskId));
+    if (cycle) {
+        error(`Blocking would create a dependency cycle: ${cycle.join(' → ')}`);
+    }
+
+    const taskFile = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskFile)) {
+        error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+    }
+
+    const change = `Blocked by ${fullBlockerId} "${index.tasks[fullBlockerId].title}"`;
+    modifyTaskFile(taskFile, doc => {
+        setField(doc, 'blocked_by', newBlockedBy);
+        addHistoryEntry(doc, change);
+    });
+
+    // Update index
+    task.blocked_by = newBlockedBy;
+    task.modified = fs.statSync(taskFile).mtime.toISOString();
+
+    saveIndex(index, boardPath);
+
+    success(`${fullTaskId} is now blocked by ${fullBlockerId}`);
+
+    const config = loadConfig(boardPath);
+    sendWebhooks(config, 'edit', fullTaskId, task, { changes: [change] }, boardPath, { detachRetries: true });
+    autoCommit(config, boardPath, describeChange('edit', fullTaskId, task, { changes: [change] }), [task.file]);
+}
+
+module.exports = block;
@@ -1,4 +1,15 @@
-const { loadConfig, loadIndex } = require('../utils');
+const {
+    loadConfig,
+    loadIndex,
+    countTasksInColumn,
+    compareTasksByRank,
+    formatChecklistProgress,
+    parseLanesOption,
+    groupTasksIntoLanes,
+    error
+} = require('../utils');
+const { compileQuery } = require('../query');
+const { parseFormatOption, taskRecord, formatOutput } = require('../format');
 
 function board(args, options = {}) {
     const boardPath = '.';
@@ -8,46 +19,122 @@ function board(args, options = {}) {
     const config = loadConfig(boardPath);
     const index = loadIndex(boardPath);
 
+    // Only tasks matching --where are shown; header counts still cover the whole column
+    let entries = Object.entries(index.tasks);
+    if (options.where !== undefined) {
+        let matches;
+        try {
+            matches = compileQuery(typeof options.where === 'string' ? options.where : '', config);
+        } catch (err) {
+            error(err.message);
+        }
+        entries = entries.filter(([id, task]) => matches(id, task));
+    }
+
+    // Cards keep their manual order (rank) within each column
+    entries.sort(([, a], [, b]) => compareTasksByRank(a, b));
+
     const columns = config.columns;
+
+    let format;
+    let laneBy;
+    try {
+        format = parseFormatOption(options.format);
+        laneBy = parseLanesOption(options.lanes, config);
+    } catch (err) {
+        error(err.message);
+    }
+
+    if (format) {
+        // Columns in board order, each with its tasks; flat formats list the tasks column by column
+        const data = {
+            board: config.name,
+            columns: columns.map(column => ({
+                id: column.id,
+                name: column.name,
+                wip_limit: column.wip_limit || null,
+                count: countTasksInColumn(index, column.id),
+                tasks: entries.filter(([id, task]) => task.status === column.id).map(([id, task]) => taskRecord(id, task))
+            }))
+        };
+        const records = data.columns.flatMap(column => column.tasks);
+        process.stdout.write(formatOutput(format, data, records, config));
+        return;
+    }
     const columnWidth = 22; // Width of each column
 
-    // Print header
+    // Print header (columns over their WIP limit are marked with ! and shown in red on a terminal)
     let header = '';
     for (const column of columns) {
-        const count = index.columns[column.id] || 0;
-        const headerText = `${column.name} (${count})`;
-        header += headerText.padEnd(columnWidth);
+        const count = countTasksInColumn(index, column.id);
+        const countText = column.wip_limit ? `${count}/${column.wip_limit}` : `${count}`;
+        const overLimit = column.wip_limit && count > column.wip_limit;
+        const headerText = `${column.name} (${countText})${overLimit ? '!' : ''}`.padEnd(columnWidth);
+        header += overLimit && process.stdout.isTTY ? `\x1b[1;31m${headerText}\x1b[0m` : headerText;
     }
     console.log(header);
     console.log('═'.repeat(columnWidth * columns.length));
 
-    if (compact) {
-        // Compact mode: one line per task
-        // Group tasks by column
-        const tasksByColumn = {};
-        for (const column of columns) {
-            tasksByColumn[column.id] = [];
-        }
+    const tasks = entries.map(([id, task]) => ({ id, ...task }));
 
-        for (const [id, task] of Object.entries(index.tasks)) {
-            tasksByColumn[task.status].push({ id, ...task });
-        }
+    if (laneBy) {
+        // One block per swimlane, with the column counts for that lane
+        for (const lane of groupTasksIntoLanes(config, tasks, laneBy)) {
+            if (lane.tasks.length === 0) continue;
 
-        // Find max tasks in any column
-        let maxTasks = 0;
-        for (const column of columns) {
-            const count = tasksByColumn[column.id].length;
-            if (count > maxTasks) maxTasks = count;
+            console.log(`▸ ${lane.label} (${lane.tasks.length})`);
+            console.log(columns.map(column => {
+                const count = lane.tasks.filter(task => task.status === column.id).length;
+                return `${column.name} (${count})`.padEnd(columnWidth);
+            }).join(''));
+            console.log('─'.repeat(columnWidth * columns.length));
+            printTaskRows(columns, lane.tasks, compact, columnWidth);
+            if (compact) console.log('');
         }
+    } else {
+        printTaskRows(columns, tasks, compact, columnWidth);
+    }
+
+    console.log('═'.repeat(columnWidth * columns.length));
+    const total = Object.keys(index.tasks).length;
+    console.log(entries.length === total ? `Total: ${total} task(s)` : `Showing ${entries.length} of ${total} task(s)`);
+}
+
+/**
+ * Print tasks side by side under their columns
+ */
+function printTaskRows(columns, tasks, compact, columnWidth) {
+    // Group tasks by column
+    const tasksByColumn = {};
+    for (const column of columns) {
+        tasksByColumn[column.id] = [];
+    }
+
+    for (const task of tasks) {
+        tasksByColumn[task.status].push(task);
+    }
 
-        // Print rows
+    // Find max tasks in any column
+    let maxTasks = 0;
+    for (const column of columns) {
+        const count = tasksByColumn[column.id].length;
+        if (count > maxTasks) maxTasks = count;
+    }
+
+    if (compact) {
+        // Compact mode: one line per task
         for (let i = 0; i < maxTasks; i++) {
             let row = '';
             for (const column of columns) {
                 const tasks = tasksByColumn[column.id];
                 if (i < tasks.length) {
                     const task = tasks[i];
-                    const taskText = `${task.id.substring(0, 7)} ${task.title.substring(0, 12)}`;
+                    // Checklist progress takes its room from the title
+                    const progress = formatChecklistProgress(task);
+                    const title = progress
+                        ? `${task.title.substring(0, 11 - progress.length)} ${progress}`
+                        : task.title.substring(0, 12);
+                    const taskText = `${task.id.substring(0, 7)} ${title}`;
                     row += taskText.substring(0, columnWidth - 1).padEnd(columnWidth);
                 } else {
                     row += ''.padEnd(columnWidth);
@@ -55,60 +142,43 @@ function board(args, options = {}) {
             }
             console.log(row);
         }
-    } else {
-        // Spacious mode: ID above title, blank line between tasks
-        const tasksByColumn = {};
-        for (const column of columns) {
-            tasksByColumn[column.id] = [];
-        }
-
-        for (const [id, task] of Object.entries(index.tasks)) {
-            tasksByColumn[task.status].push({ id, ...task });
-        }
+        return;
+    }
 
-        // Find max tasks in any column
-        let maxTasks = 0;
+    // Spacious mode: ID (and checklist progress) above title, blank line between tasks
+    // Each task takes 3 lines: ID, title, blank
+    for (let i = 0; i < maxTasks; i++) {
+        // ID line
+        let idRow = '';
         for (const column of columns) {
-            const count = tasksByColumn[column.id].length;
-            if (count > maxTasks) maxTasks = count;
-        }
-
-        // Print tasks (each task takes 3 lines: ID, title, blank)
-        for (let i = 0; i < maxTasks; i++) {
-            // ID line
-            let idRow = '';
-            for (const column of columns) {
-                const tasks = tasksByColumn[column.id];
-                if (i < tasks.length) {
-                    const task = tasks[i];
-                    idRow += task.id.padEnd(columnWidth);
-                } else {
-                    idRow += ''.padEnd(columnWidth);
-                }
+            const tasks = tasksByColumn[column.id];
+            if (i < tasks.length) {
+                const task = tasks[i];
+                const progress = formatChecklistProgress(task);
+                idRow += (progress ? `${task.id}  ${progress}` : task.id).padEnd(columnWidth);
+            } else {
+                idRow += ''.padEnd(columnWidth);
             }
-            console.log(idRow);
+        }
+        console.log(idRow);
 
-            // Title line
-            let titleRow = '';
-            for (const column of columns) {
-                const tasks = tasksByColumn[column.id];
-                if (i < tasks.length) {
-                    const task = tasks[i];
-                    const truncated = task.title.substring(0, columnWidth - 1);
-                    titleRow += truncated.padEnd(columnWidth);
-                } else {
-                    titleRow += ''.padEnd(columnWidth);
-                }
+        // Title line
+        let titleRow = '';
+        for (const column of columns) {
+            const tasks = tasksByColumn[column.id];
+            if (i < tasks.length) {
+                const task = tasks[i];
+                const truncated = task.title.substring(0, columnWidth - 1);
+                titleRow += truncated.padEnd(columnWidth);
+            } else {
+                titleRow += ''.padEnd(columnWidth);
             }
-            console.log(titleRow);
-
-            // Blank line
-            console.log('');
         }
-    }
+        console.log(titleRow);
 
-    console.log('═'.repeat(columnWidth * columns.length));
-    console.log(`Total: ${Object.keys(index.tasks).length} task(s)`);
+        // Blank line
+        console.log('');
+    }
 }
 
 module.exports = board;
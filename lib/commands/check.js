@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    parseFrontmatter,
+    findChecklistItems,
+    success,
+    error
+} = require('../utils');
+const { toggleChecklistItem } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+/**
+ * Check (or with checked = false, uncheck) a checklist item by its 1-based number
+ * Without a number the task's checklist is printed so items can be picked.
+ */
+function check(args, checked = true) {
+    const boardPath = '.';
+    const command = checked ? 'check' : 'uncheck';
+
+    // Parse arguments
+    const taskId = args[0];
+    const itemArg = args[1];
+
+    if (!taskId) {
+        error(`Usage: flatban ${command} <task-id> [item-number]`);
+    }
+
+    const index = loadIndex(boardPath);
+
+    let fullTaskId;
+    try {
+        fullTaskId = findTaskByPartialId(index, taskId);
+    } catch (err) {
+        error(err.message);
+    }
+
+    if (itemArg === undefined) {
+        printChecklist(index.tasks[fullTaskId], fullTaskId, boardPath);
+        return;
+    }
+
+    const n = parseInt(itemArg, 10);
+    if (!/^\d+$/.test(itemArg) || n < 1) {
+        error(`Invalid item number: ${itemArg}. Items are numbered from 1.`);
+    }
+
+    let result;
+    try {
+        result = toggleChecklistItem(index, fullTaskId, n, checked, boardPath);
+    } catch (err) {
+        error(err.message);
+    }
+
+    const { done, total } = result.task.checklist;
+
+    if (!result.changed) {
+        success(`Item ${n} of ${fullTaskId} is already ${checked ? 'checked' : 'unchecked'} (${done}/${total})`);
+        return;
+    }
+
+    saveIndex(index, boardPath);
+
+    success(`${checked ? 'Checked' : 'Unchecked'} "${result.item.text}" in ${fullTaskId} (${done}/${total})`);
+
+    const config = loadConfig(boardPath);
+    const changes = [`${checked ? 'Checked' : 'Unchecked'} "${result.item.text}"`];
+    sendWebhooks(config, 'edit', fullTaskId, result.task, { changes }, boardPath, { detachRetries: true });
+    autoCommit(config, boardPath, describeChange('edit', fullTaskId, result.task, { changes }), [result.task.file]);
+}
+
+function printChecklist(task, taskId, boardPath) {
+    const taskFile = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskFile)) {
+        error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+    }
+
+    const { body } = parseFrontmatter(fs.readFileSync(taskFile, 'utf8'));
+    const items = findChecklistItems(body);
+
+    if (items.length === 0) {
+        console.log(`${taskId} has no checklist items`);
+        return;
+    }
+
+    items.forEach((item, i) => {
+        console.log(`${String(i + 1).padStart(3)}. [${item.checked ? 'x' : ' '}] ${item.text}`);
+    });
+}
+
+module.exports = check;
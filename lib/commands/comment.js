@@ -0,0 +1,61 @@
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    success,
+    error
+} = require('../utils');
+const { commentOnTask } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+function comment(args, options = {}) {
+    const boardPath = '.';
+
+    // Parse arguments
+    const taskId = args[0];
+    const text = args.slice(1).join(' ');
+
+    if (!taskId || !text.trim()) {
+        error('Usage: flatban comment <task-id> "text" [--reply-to <n>]');
+    }
+
+    let replyTo = null;
+    if (options['reply-to'] !== undefined) {
+        replyTo = parseInt(options['reply-to'], 10);
+        if (!/^\d+$/.test(String(options['reply-to'])) || replyTo < 1) {
+            error(`Invalid comment number: ${options['reply-to']}. Comments are numbered from 1.`);
+        }
+    }
+
+    const index = loadIndex(boardPath);
+
+    let fullTaskId;
+    try {
+        fullTaskId = findTaskByPartialId(index, taskId);
+    } catch (err) {
+        error(err.message);
+    }
+
+    const commentText = text.replace(/\\n/g, '\n');
+
+    let result;
+    try {
+        result = commentOnTask(index, fullTaskId, commentText, boardPath, { replyTo });
+    } catch (err) {
+        error(err.message);
+    }
+
+    saveIndex(index, boardPath);
+
+    success(`${replyTo ? `Replied to comment ${replyTo}` : 'Commented'} on ${fullTaskId} as ${result.author}`);
+
+    const config = loadConfig(boardPath);
+    sendWebhooks(config, 'edit', fullTaskId, result.task, {
+        comment: { author: result.author, text: commentText.trim() }
+    }, boardPath, { detachRetries: true });
+    autoCommit(config, boardPath, describeChange('comment', fullTaskId, result.task, { author: result.author }), [result.task.file]);
+}
+
+module.exports = comment;
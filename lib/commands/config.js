@@ -217,6 +217,9 @@ function configToYaml(config) {
     for (const col of config.columns) {
         yaml += `  - id: ${col.id}\n`;
         yaml += `    name: "${col.name}"\n`;
+        if (col.wip_limit) {
+            yaml += `    wip_limit: ${col.wip_limit}\n`;
+        }
     }
     yaml += '\n';
 
@@ -227,6 +230,93 @@ function configToYaml(config) {
     }
     yaml += '\n';
 
+    // Custom fields
+    if (config.fields && config.fields.length > 0) {
+        yaml += '# Custom task fields (types: string, number, date, enum, list)\n';
+        yaml += 'fields:\n';
+        for (const field of config.fields) {
+            yaml += `  - id: ${field.id}\n`;
+            yaml += `    name: "${field.name}"\n`;
+            yaml += `    type: ${field.type}\n`;
+            if (field.type === 'enum') {
+                yaml += `    options: [${field.options.join(', ')}]\n`;
+            }
+            if (field.required) {
+                yaml += '    required: true\n';
+            }
+        }
+        yaml += '\n';
+    }
+
+    // Default swimlanes
+    if (config.lanes) {
+        yaml += '# Split the board into swimlanes by default (assigned, tag or priority)\n';
+        yaml += `lanes: ${config.lanes}\n\n`;
+    }
+
+    // Webhooks
+    if (config.webhooks && config.webhooks.length > 0) {
+        yaml += '# POST task events to these URLs (events: create, move, delete, edit)\n';
+        yaml += 'webhooks:\n';
+        for (const hook of config.webhooks) {
+            yaml += `  - name: ${hook.name}\n`;
+            yaml += `    url: "${hook.url}"\n`;
+            if (hook.events.length > 0) {
+                yaml += `    events: [${hook.events.join(', ')}]\n`;
+            }
+            if (hook.columns.length > 0) {
+                yaml += `    columns: [${hook.columns.join(', ')}]\n`;
+            }
+            if (hook.secret) {
+                yaml += `    secret: "${hook.secret}"\n`;
+            }
+        }
+        yaml += '\n';
+    }
+
+    // Auto-commit and task branches
+    const git = config.git || {};
+    const customPattern = git.branch_pattern && git.branch_pattern !== '{id}-{slug}';
+    if (git.auto_commit || git.author || git.skip_index || git.batch_seconds
+        || customPattern || git.start_column || git.finish_column) {
+        yaml += '# Git settings: auto-commit and "flatban start" branches\n';
+        yaml += 'git:\n';
+        yaml += `  auto_commit: ${!!git.auto_commit}\n`;
+        if (git.author) {
+            yaml += `  author: "${git.author}"\n`;
+        }
+        if (git.skip_index) {
+            yaml += '  skip_index: true\n';
+        }
+        if (git.batch_seconds) {
+            yaml += `  batch_seconds: ${git.batch_seconds}\n`;
+        }
+        if (customPattern) {
+            yaml += `  branch_pattern: "${git.branch_pattern}"\n`;
+        }
+        if (git.start_column) {
+            yaml += `  start_column: ${git.start_column}\n`;
+        }
+        if (git.finish_column) {
+            yaml += `  finish_column: ${git.finish_column}\n`;
+        }
+        yaml += '\n';
+    }
+
+    // Commit hooks
+    const hooks = config.hooks || {};
+    if (hooks.closes || hooks.refs) {
+        yaml += '# Columns for tasks that commit messages close or reference (none to only record the commit)\n';
+        yaml += 'hooks:\n';
+        if (hooks.closes) {
+            yaml += `  closes: ${hooks.closes}\n`;
+        }
+        if (hooks.refs) {
+            yaml += `  refs: ${hooks.refs}\n`;
+        }
+        yaml += '\n';
+    }
+
     // Notifications
     yaml += '# Browser notification settings\n';
     yaml += 'notifications:\n';
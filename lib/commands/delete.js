@@ -0,0 +1,43 @@
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    success,
+    error
+} = require('../utils');
+const { trashTask } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+function deleteTask(args) {
+    const boardPath = '.';
+
+    // Parse arguments
+    const taskId = args[0];
+
+    if (!taskId) {
+        error('Usage: flatban delete <task-id>');
+    }
+
+    // Load config and index
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    try {
+        const fullTaskId = findTaskByPartialId(index, taskId);
+        const { task } = trashTask(config, index, fullTaskId, boardPath);
+
+        saveIndex(index, boardPath);
+
+        success(`Moved ${fullTaskId} "${task.title}" to trash`);
+        console.log(`Restore it with: flatban restore ${fullTaskId}`);
+
+        sendWebhooks(config, 'delete', fullTaskId, task, {}, boardPath, { detachRetries: true });
+        autoCommit(config, boardPath, describeChange('delete', fullTaskId, task), [task.file]);
+    } catch (err) {
+        error(err.message);
+    }
+}
+
+module.exports = deleteTask;
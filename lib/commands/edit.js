@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    modifyTaskFile,
+    addHistoryEntry,
+    parseDueDate,
+    normalizeFieldValue,
+    formatFieldValue,
+    success,
+    error
+} = require('../utils');
+const { setField, removeField } = require('../frontmatter');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+// Options handled by edit itself; custom fields with these IDs cannot be set here
+const BUILTIN_OPTIONS = ['title', 'priority', 'add-tag', 'remove-tag', 'assigned', 'due'];
+
+function edit(args, options = {}) {
+    const boardPath = '.';
+
+    // Parse arguments
+    const taskId = args[0];
+
+    if (!taskId) {
+        error('Usage: flatban edit <task-id> [--title ...] [--priority ...] [--add-tag ...] [--remove-tag ...] [--assigned ...] [--due ...]');
+    }
+
+    // Load config and index
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    // Find full task ID
+    let fullTaskId;
+    try {
+        fullTaskId = findTaskByPartialId(index, taskId);
+    } catch (err) {
+        error(err.message);
+    }
+
+    const task = index.tasks[fullTaskId];
+    const taskFile = path.join(boardPath, task.file);
+
+    if (!fs.existsSync(taskFile)) {
+        error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+    }
+
+    const updates = {};
+    const changes = [];
+
+    // Title
+    if (options.title !== undefined) {
+        if (typeof options.title !== 'string' || !options.title.trim()) {
+            error('Title cannot be empty');
+        }
+        const title = options.title.trim();
+        if (title !== task.title) {
+            updates.title = title;
+            changes.push(`Title changed from "${task.title}" to "${title}"`);
+        }
+    }
+
+    // Priority
+    if (options.priority !== undefined) {
+        const priority = options.priority;
+        if (!config.priorities.includes(priority)) {
+            error(`Invalid priority: ${priority}. Valid priorities: ${config.priorities.join(', ')}`);
+        }
+        if (priority !== task.priority) {
+            updates.priority = priority;
+            changes.push(`Priority changed from ${task.priority} to ${priority}`);
+        }
+    }
+
+    // Tags
+    const addTags = parseTagList(options['add-tag']);
+    const removeTags = parseTagList(options['remove-tag']);
+
+    if (addTags.length > 0 || removeTags.length > 0) {
+        const tags = (task.tags || []).slice();
+
+        for (const tag of addTags) {
+            if (!tags.includes(tag)) {
+                tags.push(tag);
+                changes.push(`Added tag ${tag}`);
+            }
+        }
+
+        for (const tag of removeTags) {
+            const tagIdx = tags.indexOf(tag);
+            if (tagIdx !== -1) {
+                tags.splice(tagIdx, 1);
+                changes.push(`Removed tag ${tag}`);
+            }
+        }
+
+        if (tags.join(',') !== (task.tags || []).join(',')) {
+            updates.tags = tags;
+        }
+    }
+
+    // Assignee (--assigned with no value unassigns)
+    if (options.assigned !== undefined) {
+        const assigned = typeof options.assigned === 'string' ? options.assigned.trim() : '';
+        if (assigned !== (task.assigned || '')) {
+            updates.assigned = assigned;
+            changes.push(assigned ? `Assigned to ${assigned}` : `Unassigned from ${task.assigned}`);
+        }
+    }
+
+    // Due date (--due with no value clears it)
+    if (options.due !== undefined) {
+        let due = '';
+        if (options.due !== true) {
+            try {
+                due = parseDueDate(options.due);
+            } catch (err) {
+                error(err.message);
+            }
+        }
+        if (due !== (task.due || '')) {
+            updates.due = due || null;
+            changes.push(due ? `Due date set to ${due}` : 'Due date cleared');
+        }
+    }
+
+    // Custom fields (--<field> <value>; --<field> with no value clears it)
+    const fieldUpdates = {};
+    for (const field of config.fields) {
+        const value = options[field.id];
+        if (value === undefined || BUILTIN_OPTIONS.includes(field.id)) continue;
+
+        const oldValue = (task.fields || {})[field.id];
+
+        if (value === true) {
+            if (field.required) {
+                error(`${field.id} is required and cannot be cleared`);
+            }
+            if (oldValue !== undefined) {
+                fieldUpdates[field.id] = null;
+                changes.push(`Cleared ${field.name}`);
+            }
+            continue;
+        }
+
+        let newValue;
+        try {
+            newValue = normalizeFieldValue(field, value);
+        } catch (err) {
+            error(err.message);
+        }
+
+        if (JSON.stringify(newValue) !== JSON.stringify(oldValue)) {
+            fieldUpdates[field.id] = newValue;
+            changes.push(`${field.name} set to ${formatFieldValue(newValue)}`);
+        }
+    }
+
+    if (changes.length === 0) {
+        success(`No changes for task ${fullTaskId}`);
+        return;
+    }
+
+    // Rewrite only the changed frontmatter keys and record each change in History
+    modifyTaskFile(taskFile, doc => {
+        for (const [key, value] of Object.entries({ ...updates, ...fieldUpdates })) {
+            if (value === null) {
+                removeField(doc, key);
+            } else {
+                setField(doc, key, value);
+            }
+        }
+        for (const change of changes) {
+            addHistoryEntry(doc, change);
+        }
+    });
+
+    // Update index
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === null) {
+            delete index.tasks[fullTaskId][key];
+        } else {
+            index.tasks[fullTaskId][key] = value;
+        }
+    }
+
+    if (Object.keys(fieldUpdates).length > 0) {
+        const fields = Object.assign({}, task.fields);
+        for (const [key, value] of Object.entries(fieldUpdates)) {
+            if (value === null) {
+                delete fields[key];
+            } else {
+                fields[key] = value;
+            }
+        }
+        index.tasks[fullTaskId].fields = fields;
+    }
+
+    const stats = fs.statSync(taskFile);
+    index.tasks[fullTaskId].modified = stats.mtime.toISOString();
+
+    saveIndex(index, boardPath);
+
+    success(`Updated ${fullTaskId}: ${changes.join('; ')}`);
+
+    sendWebhooks(config, 'edit', fullTaskId, task, { changes }, boardPath, { detachRetries: true });
+    autoCommit(config, boardPath, describeChange('edit', fullTaskId, task, { changes }), [task.file]);
+}
+
+function parseTagList(value) {
+    if (!value || typeof value !== 'string') {
+        return [];
+    }
+    return value.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+module.exports = edit;
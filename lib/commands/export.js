@@ -0,0 +1,42 @@
+const fs = require('fs');
+const { loadConfig, loadIndex, success, error } = require('../utils');
+const { exportCsv, planCsvImport } = require('../csv');
+
+function exportBoard(args, options = {}) {
+    const boardPath = '.';
+
+    if (options.csv === undefined) {
+        error('Usage: flatban export --csv <file.csv> (or --csv - for stdout)');
+    }
+
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    const csv = exportCsv(config, index, boardPath);
+
+    // Importing the file untouched must change nothing; say so if some value doesn't survive the trip
+    try {
+        const changed = planCsvImport(config, index, csv, boardPath).rows.filter(row => row.action !== 'unchanged');
+        for (const row of changed) {
+            console.warn(`Warning: ${row.taskId} would not import unchanged: ${row.diff.join(', ')}`);
+        }
+    } catch (err) {
+        console.warn(`Warning: this export would not import as is. ${err.message}`);
+    }
+
+    // --csv with no file, or -, prints to stdout
+    if (options.csv === true || options.csv === '-') {
+        process.stdout.write(csv);
+        return;
+    }
+
+    try {
+        fs.writeFileSync(options.csv, csv);
+    } catch (err) {
+        error(`Could not write ${options.csv}: ${err.message}`);
+    }
+
+    success(`Exported ${Object.keys(index.tasks).length} task(s) to ${options.csv}`);
+}
+
+module.exports = exportBoard;
@@ -0,0 +1,67 @@
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    success,
+    error
+} = require('../utils');
+const { moveTask } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+/**
+ * Hand a started task over for review: move it to git.finish_column (default
+ * review) and print the branch to open a pull request from
+ */
+function finish(args, options = {}) {
+    const boardPath = '.';
+    const taskId = args[0];
+
+    if (!taskId) {
+        error('Usage: flatban finish <task-id> [--force]');
+    }
+
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    try {
+        const fullTaskId = findTaskByPartialId(index, taskId);
+
+        const column = config.git.finish_column || 'review';
+        if (!config.columns.some(c => c.id === column)) {
+            throw new Error(`Column not found: ${column}. Set git.finish_column in config.yaml`);
+        }
+
+        const { task, oldColumn, moved } = moveTask(config, index, fullTaskId, column, boardPath, {
+            force: !!options.force
+        });
+
+        if (moved) {
+            saveIndex(index, boardPath);
+            success(`Moved ${fullTaskId} to ${column}`);
+        } else {
+            success(`Task ${fullTaskId} already in ${column}`);
+        }
+
+        if (task.branch) {
+            console.log('');
+            console.log(`Open a pull request from branch ${task.branch}:`);
+            console.log(`  git push -u origin ${task.branch}`);
+        } else {
+            console.log(`No branch recorded for ${fullTaskId}. Use "flatban start" to work on a task in its own branch.`);
+        }
+
+        if (moved) {
+            sendWebhooks(config, 'move', fullTaskId, task, { from: oldColumn }, boardPath, { detachRetries: true });
+            autoCommit(config, boardPath, describeChange('finish', fullTaskId, task), [task.file]);
+        }
+    } catch (err) {
+        if (err.code === 'WIP_LIMIT' || err.code === 'BLOCKED') {
+            error(`${err.message}. Use --force to move anyway.`);
+        }
+        error(err.message);
+    }
+}
+
+module.exports = finish;
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    parseFrontmatter,
+    parseBodySections,
+    modifyTaskFile,
+    addHistoryEntry,
+    success,
+    error
+} = require('../utils');
+const { moveTask } = require('../tasks');
+const { git, findTaskReferences, autoCommit } = require('../git');
+const { sendWebhooks } = require('../webhooks');
+
+// post-commit rather than commit-msg, so the hook knows the new commit's hash
+const HOOK_NAME = 'post-commit';
+
+// Marks hooks written by Flatban, so uninstall never removes someone else's hook
+const HOOK_MARKER = '# Installed by flatban';
+
+function hooks(args, options = {}) {
+    const boardPath = '.';
+    const subcommand = args[0] || 'status';
+
+    const config = loadConfig(boardPath);
+
+    switch (subcommand) {
+        case 'status':
+            showStatus(boardPath);
+            break;
+        case 'install':
+            install(boardPath, !!options['dry-run']);
+            break;
+        case 'uninstall':
+            uninstall(boardPath, !!options['dry-run']);
+            break;
+        case 'run':
+            run(config, boardPath, args[1] || 'HEAD', !!options['dry-run']);
+            break;
+        default:
+            error(`Unknown hooks subcommand: ${subcommand}. Use "flatban hooks install", "uninstall", "run" or "status".`);
+    }
+}
+
+function getHookPath(boardPath) {
+    try {
+        return path.resolve(boardPath, git(boardPath, ['rev-parse', '--git-path', `hooks/${HOOK_NAME}`]).trim());
+    } catch (err) {
+        error(`Not a git repository: ${err.message}`);
+    }
+}
+
+function isFlatbanHook(hookPath) {
+    return fs.existsSync(hookPath) && fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER);
+}
+
+/**
+ * The command the hook runs: "flatban hooks run" from the board directory,
+ * whichever directory git runs the hook in, with the flatban on PATH or else the
+ * project's own through npx. A failure is reported but never fails the commit.
+ */
+function hookCommand(boardPath) {
+    const prefix = git(boardPath, ['rev-parse', '--show-prefix']).trim();
+    const run = 'hooks run HEAD';
+
+    return `(cd "$(git rev-parse --show-toplevel)/${prefix}" && `
+        + `if command -v flatban >/dev/null 2>&1; then flatban ${run}; else npx --no-install flatban ${run}; fi) `
+        + `|| echo "flatban: could not update the board for this commit; run \\"flatban ${run}\\" to retry" >&2`;
+}
+
+function hookScript(boardPath) {
+    return [
+        '#!/bin/sh',
+        `${HOOK_MARKER}: moves tasks that commit messages close or reference.`,
+        '# Remove with "flatban hooks uninstall".',
+        hookCommand(boardPath),
+        ''
+    ].join('\n');
+}
+
+function showStatus(boardPath) {
+    const hookPath = getHookPath(boardPath);
+
+    if (isFlatbanHook(hookPath)) {
+        console.log(`Commit hook installed: ${hookPath}`);
+    } else if (fs.existsSync(hookPath)) {
+        console.log(`Not installed; ${hookPath} belongs to something else`);
+    } else {
+        console.log('Commit hook not installed. Run "flatban hooks install" to add it.');
+    }
+}
+
+function install(boardPath, dryRun) {
+    const hookPath = getHookPath(boardPath);
+
+    // Never overwrite a hook Flatban did not write
+    if (fs.existsSync(hookPath) && !isFlatbanHook(hookPath)) {
+        error(`${hookPath} already exists. To use both, add this line to it:\n  ${hookCommand(boardPath)}`);
+    }
+
+    const script = hookScript(boardPath);
+
+    if (dryRun) {
+        console.log(`Would write ${hookPath}:\n`);
+        console.log(script);
+        return;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(hookPath), { recursive: true });
+        fs.writeFileSync(hookPath, script, { mode: 0o755 });
+        fs.chmodSync(hookPath, 0o755);
+    } catch (err) {
+        error(`Could not write ${hookPath}: ${err.message}`);
+    }
+
+    success(`Installed ${HOOK_NAME} hook: ${hookPath}`);
+    console.log('Commit messages like "fix login (closes abc1234)" or "refs abc1234" now update the board.');
+}
+
+function uninstall(boardPath, dryRun) {
+    const hookPath = getHookPath(boardPath);
+
+    if (!isFlatbanHook(hookPath)) {
+        error(fs.existsSync(hookPath)
+            ? `${hookPath} was not installed by Flatban; leaving it alone`
+            : 'No Flatban commit hook is installed');
+    }
+
+    if (dryRun) {
+        console.log(`Would remove ${hookPath}`);
+        return;
+    }
+
+    fs.unlinkSync(hookPath);
+    success(`Removed ${HOOK_NAME} hook: ${hookPath}`);
+}
+
+/**
+ * Work out the column a reference moves a task to, or null to only record the commit
+ * Tasks only ever move forward, so "refs" never pulls a finished task back.
+ */
+function targetColumn(config, task, kind) {
+    const columns = config.columns.map(c => c.id);
+
+    let target = kind === 'closes'
+        ? config.hooks.closes || columns[columns.length - 1]
+        : config.hooks.refs || (columns.includes('in-progress') ? 'in-progress' : null);
+
+    if (target === 'none') {
+        target = null;
+    }
+    if (target && !columns.includes(target)) {
+        throw new Error(`hooks.${kind} is not a column: ${target}. Valid columns: ${columns.join(', ')}`);
+    }
+
+    return target && columns.indexOf(target) > columns.indexOf(task.status) ? target : null;
+}
+
+/**
+ * Apply the task references in a commit's message to the board
+ * Each referenced task gets a History entry with the commit's short hash and
+ * subject, and closed or referenced tasks move to the configured columns. With
+ * dryRun the plan is printed and nothing is changed.
+ */
+function run(config, boardPath, commit, dryRun) {
+    let hash;
+    let message;
+    try {
+        [hash, ...message] = git(boardPath, ['show', '--no-patch', '--format=%H%n%B', commit]).split('\n');
+        message = message.join('\n').trim();
+    } catch (err) {
+        error(`Could not read commit ${commit}: ${err.message}`);
+    }
+
+    const shortHash = hash.substring(0, 7);
+    const subject = message.split('\n')[0];
+
+    // Commits made by auto-commit describe board changes; reading them back would loop
+    if (subject.startsWith('flatban:')) {
+        if (dryRun) console.log(`${shortHash} is a Flatban commit; nothing to do`);
+        return;
+    }
+
+    const index = loadIndex(boardPath);
+
+    // One action per task; closing wins over a plain reference
+    const actions = new Map();
+    for (const { kind, id } of findTaskReferences(message)) {
+        let taskId;
+        try {
+            taskId = findTaskByPartialId(index, id);
+        } catch (err) {
+            // Not a task ID ("fix login"), or one that matches several tasks
+            if (dryRun && err.code === 'AMBIGUOUS') console.log(`Skipping ${id}: ${err.message}`);
+            continue;
+        }
+        if (!actions.has(taskId) || kind === 'closes') {
+            actions.set(taskId, kind);
+        }
+    }
+
+    if (actions.size === 0) {
+        if (dryRun) console.log(`${shortHash} "${subject}" references no tasks`);
+        return;
+    }
+
+    const historyMessage = `Commit ${shortHash}: ${subject}`;
+    const changed = [];
+
+    for (const [taskId, kind] of actions) {
+        const task = index.tasks[taskId];
+        const taskPath = path.join(boardPath, task.file);
+
+        let target;
+        try {
+            target = targetColumn(config, task, kind);
+        } catch (err) {
+            error(err.message);
+        }
+
+        // Running the hook again for the same commit must not record it twice
+        const { body } = parseFrontmatter(fs.readFileSync(taskPath, 'utf8'));
+        if (parseBodySections(body).history.some(entry => entry.message.startsWith(`Commit ${shortHash}:`))) {
+            if (dryRun) console.log(`${taskId} "${task.title}": ${shortHash} already recorded`);
+            continue;
+        }
+
+        if (dryRun) {
+            console.log(`${taskId} "${task.title}": record ${shortHash}${target ? `, move ${task.status} → ${target}` : ''}`);
+            continue;
+        }
+
+        modifyTaskFile(taskPath, doc => addHistoryEntry(doc, historyMessage));
+        task.modified = fs.statSync(taskPath).mtime.toISOString();
+
+        // The work is committed, so WIP limits and blockers don't hold the board back
+        const from = task.status;
+        if (target) {
+            moveTask(config, index, taskId, target, boardPath, { force: true });
+        }
+
+        changed.push({ taskId, task, from, target });
+    }
+
+    if (dryRun || changed.length === 0) return;
+
+    saveIndex(index, boardPath);
+
+    for (const { taskId, task, from, target } of changed) {
+        const columnName = target ? config.columns.find(c => c.id === target).name : null;
+        success(`flatban: ${taskId} "${task.title}" ${target ? `moved to ${columnName}` : `recorded ${shortHash}`}`);
+
+        sendWebhooks(config, target ? 'move' : 'edit', taskId, task, target ? { from } : { changes: [historyMessage] }, boardPath, { detachRetries: true });
+    }
+
+    autoCommit(config, boardPath, `flatban: record ${shortHash} on ${changed.map(c => c.taskId).join(', ')}`,
+        changed.map(c => c.task.file));
+}
+
+module.exports = hooks;
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const readline = require('readline');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    success,
+    error
+} = require('../utils');
+const { IMPORT_SOURCES, parseExport, suggestColumn, importCards } = require('../import');
+const { planCsvImport, applyCsvImport } = require('../csv');
+const { sendWebhooks } = require('../webhooks');
+const { autoCommit } = require('../git');
+
+async function importBoard(args, options = {}) {
+    const boardPath = '.';
+
+    if (options.csv !== undefined) {
+        importCsv(options.csv, !!options['dry-run'], boardPath);
+        return;
+    }
+
+    const file = args[0];
+    const source = options.from;
+
+    if (!file || !source || source === true) {
+        error('Usage: flatban import --from trello|github|jira <export.json> [--map "Status=column,..."]\n'
+            + '       flatban import --csv <file.csv> [--dry-run]');
+    }
+    if (!IMPORT_SOURCES[source]) {
+        error(`Invalid source: ${source}. Valid sources: ${Object.keys(IMPORT_SOURCES).join(', ')}`);
+    }
+
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+    const sourceName = IMPORT_SOURCES[source].name;
+
+    let cards;
+    try {
+        cards = parseExport(source, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        error(`Could not read ${file}: ${err.message}`);
+    }
+
+    const counts = new Map();
+    for (const card of cards) {
+        counts.set(card.status, (counts.get(card.status) || 0) + 1);
+    }
+
+    let given;
+    try {
+        given = parseColumnMap(config, options.map);
+    } catch (err) {
+        error(err.message);
+    }
+
+    // --map first, then statuses named like a column; ask about the rest
+    const columns = {};
+    const unmapped = [];
+    for (const status of counts.keys()) {
+        const key = status.toLowerCase();
+        if (given.has(key)) {
+            columns[status] = given.get(key);
+        } else if (suggestColumn(config, status)) {
+            columns[status] = suggestColumn(config, status);
+        } else {
+            unmapped.push(status);
+        }
+    }
+
+    if (unmapped.length > 0) {
+        if (!process.stdin.isTTY) {
+            error(`No column for ${unmapped.map(status => `"${status}"`).join(', ')}. `
+                + `Map them with --map "${unmapped.map(status => `${status}=<column>`).join(',')}" (or =skip to leave them out)`);
+        }
+        Object.assign(columns, await askColumns(config, unmapped, counts));
+    }
+
+    console.log(`${sourceName} ${cards.length === 1 ? 'card' : 'cards'} by column:`);
+    for (const [status, count] of counts) {
+        console.log(`  ${status || '(no status)'} → ${columns[status] || 'skipped'} (${count})`);
+    }
+    console.log('');
+
+    const result = importCards(config, index, cards, columns, sourceName, boardPath);
+
+    for (const { card, error: reason } of result.failed) {
+        console.warn(`Could not import ${card.externalId} "${card.title}": ${reason}`);
+    }
+
+    if (result.created.length > 0) {
+        saveIndex(index, boardPath);
+    }
+
+    success(`Imported ${result.created.length} task(s) from ${sourceName}`);
+    if (result.duplicates > 0) {
+        console.log(`Skipped ${result.duplicates} already imported`);
+    }
+    if (result.excluded > 0) {
+        console.log(`Skipped ${result.excluded} in skipped columns`);
+    }
+
+    for (const { taskId, task } of result.created) {
+        sendWebhooks(config, 'create', taskId, task, {}, boardPath, { detachRetries: true });
+    }
+    if (result.created.length > 0) {
+        autoCommit(config, boardPath, `flatban: import ${result.created.length} task(s) from ${sourceName}`, result.files);
+    }
+}
+
+/**
+ * Create and update tasks from a CSV file written by "flatban export --csv"
+ * The changes are listed first; with dryRun nothing is written.
+ */
+function importCsv(file, dryRun, boardPath) {
+    if (file === true) {
+        error('Usage: flatban import --csv <file.csv> [--dry-run]');
+    }
+
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    let plan;
+    try {
+        plan = planCsvImport(config, index, fs.readFileSync(file, 'utf8'), boardPath);
+    } catch (err) {
+        error(`Could not import ${file}: ${err.message}`);
+    }
+
+    if (plan.ignored.length > 0) {
+        console.warn(`Ignoring unknown column(s): ${plan.ignored.join(', ')}`);
+    }
+
+    const creates = plan.rows.filter(row => row.action === 'create');
+    const updates = plan.rows.filter(row => row.action === 'update');
+
+    for (const row of creates) {
+        console.log(`+ row ${row.row}: new task "${row.title}" in ${row.column || 'todo'}`);
+    }
+    for (const row of updates) {
+        console.log(`~ ${row.taskId} "${row.title}": ${row.diff.join(', ')}`);
+    }
+
+    const unchanged = plan.rows.length - creates.length - updates.length;
+    console.log(`${creates.length} to create, ${updates.length} to update, ${unchanged} unchanged`);
+
+    if (dryRun) {
+        console.log('Dry run: nothing was written');
+        return;
+    }
+    if (creates.length === 0 && updates.length === 0) {
+        return;
+    }
+
+    let result;
+    try {
+        result = applyCsvImport(config, index, plan, boardPath);
+    } catch (err) {
+        // Rows are checked up front, so this is a file that went missing or similar
+        saveIndex(index, boardPath);
+        error(`Import stopped at an error: ${err.message}. Run "flatban sync" if the board looks out of date.`);
+    }
+
+    saveIndex(index, boardPath);
+
+    success(`Created ${result.created.length} and updated ${result.updated.length} task(s) from ${file}`);
+
+    for (const { event, taskId, details } of result.events) {
+        sendWebhooks(config, event, taskId, index.tasks[taskId], details, boardPath, { detachRetries: true });
+    }
+
+    autoCommit(config, boardPath, `flatban: import ${file} (${result.created.length} created, ${result.updated.length} updated)`,
+        result.files);
+}
+
+/**
+ * Read --map "Status=column,Other status=skip" into a Map of lowercased status to column (null for skip)
+ */
+function parseColumnMap(config, value) {
+    const map = new Map();
+    if (value === undefined) return map;
+
+    const columns = config.columns.map(c => c.id);
+    for (const pair of String(value).split(',')) {
+        const separator = pair.lastIndexOf('=');
+        const status = pair.substring(0, separator).trim();
+        const column = pair.substring(separator + 1).trim();
+
+        if (separator === -1 || !status) {
+            throw new Error(`Invalid --map entry: "${pair}". Use "Status=column"`);
+        }
+        if (column !== 'skip' && !columns.includes(column)) {
+            throw new Error(`Invalid column for "${status}": ${column}. Valid columns: ${columns.join(', ')} (or skip)`);
+        }
+        map.set(status.toLowerCase(), column === 'skip' ? null : column);
+    }
+
+    return map;
+}
+
+/**
+ * Ask which column each status goes to; resolves with { status: column or null }
+ */
+function askColumns(config, statuses, counts) {
+    const choices = [...config.columns.map(c => c.id), 'skip'];
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const columns = {};
+
+    console.log(`Pick a column for each list or status (${choices.join(', ')}):`);
+
+    return new Promise(resolve => {
+        const ask = (i) => {
+            if (i === statuses.length) {
+                rl.close();
+                console.log('');
+                resolve(columns);
+                return;
+            }
+
+            rl.question(`  ${statuses[i] || '(no status)'} (${counts.get(statuses[i])}): `, answer => {
+                answer = answer.trim();
+                if (!choices.includes(answer)) {
+                    console.log(`  Choose one of: ${choices.join(', ')}`);
+                    ask(i);
+                    return;
+                }
+                columns[statuses[i]] = answer === 'skip' ? null : answer;
+                ask(i + 1);
+            });
+        };
+        ask(0);
+    });
+}
+
+module.exports = importBoard;
@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
-const { success, error } = require('../utils');
+const { ignoreBoardFile, success, error } = require('../utils');
+const { GIT_TIMES_FILE } = require('../git');
+const { SEARCH_INDEX_FILE } = require('../search');
+const { WEBHOOK_LOG_FILE } = require('../webhooks');
 
 function init(args) {
     const boardName = args[0] || 'My Project Board';
@@ -29,6 +32,11 @@ function init(args) {
         }
     }
 
+    // Keep caches and logs out of git
+    ignoreBoardFile(boardPath, GIT_TIMES_FILE);
+    ignoreBoardFile(boardPath, SEARCH_INDEX_FILE);
+    ignoreBoardFile(boardPath, WEBHOOK_LOG_FILE);
+
     // Create config.yaml
     const configContent = `# Flatban Configuration
 name: "${boardName}"
@@ -40,6 +48,7 @@ columns:
     name: "To Do"
   - id: in-progress
     name: "In Progress"
+    # wip_limit: 3            # Optional work-in-progress limit for a column
   - id: review
     name: "Review"
   - id: done
@@ -51,6 +60,41 @@ priorities:
   - high
   - critical
 
+# Custom task fields (types: string, number, date, enum, list)
+# fields:
+#   - id: estimate
+#     type: number
+#   - id: component
+#     type: enum
+#     options: [frontend, backend]
+#     required: true
+
+# Split the board into swimlanes by default (assigned, tag or priority)
+# lanes: assigned
+
+# POST task events to these URLs (events: create, move, delete, edit)
+# webhooks:
+#   - name: chat
+#     url: "https://example.com/hooks/flatban"
+#     events: [move]          # Optional; all events when left out
+#     columns: [review, done] # Optional; only tasks in or moving from/to these columns
+#     secret: "change-me"     # Optional; signs the body in X-Flatban-Signature
+
+# Commit every board change to git, and name the branches "flatban start" creates
+# git:
+#   auto_commit: true
+#   author: "Flatban <flatban@localhost>"  # Optional; default is your git identity
+#   skip_index: true          # Optional; leave index.json out of commits
+#   batch_seconds: 10         # Optional; web changes this close together share a commit
+#   branch_pattern: "task/{id}-{slug}"  # Optional; default is {id}-{slug}
+#   start_column: in-progress # Optional; where "flatban start" moves tasks
+#   finish_column: review     # Optional; where "flatban finish" moves tasks
+
+# Columns for tasks that commit messages close or reference (see "flatban hooks install")
+# hooks:
+#   closes: done              # "closes/fixes/resolves <task-id>" (default: the last column)
+#   refs: in-progress         # "refs <task-id>" (default: in-progress; none to only record the commit)
+
 # Browser notification settings
 notifications:
   enabled: false              # Enable/disable browser notifications
@@ -1,4 +1,16 @@
-const { loadConfig, loadIndex, error } = require('../utils');
+const {
+    loadConfig,
+    loadIndex,
+    parseDueDate,
+    isOverdue,
+    matchesFieldFilter,
+    formatFieldValue,
+    formatChecklistProgress,
+    compareTasksByRank,
+    error
+} = require('../utils');
+const { compileQuery, compileSort } = require('../query');
+const { parseFormatOption, taskRecord, formatOutput } = require('../format');
 
 function list(args, options = {}) {
     const boardPath = '.';
@@ -13,6 +25,13 @@ function list(args, options = {}) {
     const tagFilter = options.tag || null;
     const assignedFilter = options.assigned || null;
 
+    let format;
+    try {
+        format = parseFormatOption(options.format);
+    } catch (err) {
+        error(err.message);
+    }
+
     // Validate column filter
     if (columnFilter) {
         const validColumns = config.columns.map(c => c.id);
@@ -40,26 +59,87 @@ function list(args, options = {}) {
         tasks = tasks.filter(([id, task]) => task.assigned === assignedFilter);
     }
 
-    // Sort by modified date, newest first
-    tasks.sort((a, b) => {
-        const dateA = new Date(a[1].modified);
-        const dateB = new Date(b[1].modified);
-        return dateB - dateA;
-    });
+    if (options.overdue) {
+        tasks = tasks.filter(([id, task]) => isOverdue(task, config));
+    }
+
+    if (options['due-before']) {
+        let dueBefore;
+        try {
+            dueBefore = parseDueDate(options['due-before']);
+        } catch (err) {
+            error(err.message);
+        }
+        tasks = tasks.filter(([id, task]) => task.due && task.due < dueBefore);
+    }
+
+    // Custom field filters (--<field> <value>)
+    for (const field of config.fields) {
+        const fieldFilter = options[field.id];
+        if (fieldFilter === undefined || fieldFilter === true) continue;
+
+        tasks = tasks.filter(([id, task]) => matchesFieldFilter(field, (task.fields || {})[field.id], fieldFilter));
+    }
+
+    // Query language filter (--where 'priority>=high and tag:backend')
+    if (options.where !== undefined) {
+        let matches;
+        try {
+            matches = compileQuery(typeof options.where === 'string' ? options.where : '', config);
+        } catch (err) {
+            error(err.message);
+        }
+        tasks = tasks.filter(([id, task]) => matches(id, task));
+    }
+
+    // Sort by --sort keys, or as on the board: column by column in manual (rank) order
+    if (options.sort !== undefined) {
+        let comparator;
+        try {
+            comparator = compileSort(typeof options.sort === 'string' ? options.sort : '', config);
+        } catch (err) {
+            error(err.message);
+        }
+        tasks.sort(comparator);
+    } else {
+        const columnOrder = config.columns.map(c => c.id);
+        tasks.sort(([, a], [, b]) => columnOrder.indexOf(a.status) - columnOrder.indexOf(b.status) || compareTasksByRank(a, b));
+    }
+
+    if (format) {
+        const records = tasks.map(([id, task]) => taskRecord(id, task));
+        process.stdout.write(formatOutput(format, records, records, config));
+        return;
+    }
+
+    // Custom fields get an extra column each
+    const fieldWidths = config.fields.map(field => Math.max(field.name.length, 10));
 
     // Print header
-    console.log('ID       Title                          Column        Priority   Created           Modified');
-    console.log('-'.repeat(110));
+    let header = 'ID       Title                          Column        Priority   Due         Checklist  Created           Modified';
+    config.fields.forEach((field, i) => {
+        header += '  ' + field.name.padEnd(fieldWidths[i]);
+    });
+    console.log(header.trimEnd());
+    console.log('-'.repeat(133 + fieldWidths.reduce((sum, w) => sum + w + 2, 0)));
 
     // Print tasks
     for (const [id, task] of tasks) {
         const title = task.title.substring(0, 30).padEnd(30);
         const column = task.status.substring(0, 13).padEnd(13);
         const priority = task.priority.padEnd(10);
+        const due = ((task.due || '') + (isOverdue(task, config) ? '!' : '')).padEnd(11);
+        const checklist = formatChecklistProgress(task).padEnd(10);
         const created = new Date(task.created).toISOString().substring(0, 16).replace('T', ' ');
         const modified = new Date(task.modified).toISOString().substring(0, 16).replace('T', ' ');
 
-        console.log(`${id}  ${title} ${column} ${priority} ${created}  ${modified}`);
+        let line = `${id}  ${title} ${column} ${priority} ${due} ${checklist} ${created}  ${modified}`;
+        config.fields.forEach((field, i) => {
+            const value = formatFieldValue((task.fields || {})[field.id]);
+            line += '  ' + value.substring(0, fieldWidths[i]).padEnd(fieldWidths[i]);
+        });
+
+        console.log(line.trimEnd());
     }
 
     console.log('');
@@ -1,16 +1,16 @@
-const fs = require('fs');
-const path = require('path');
 const {
     loadConfig,
     loadIndex,
     saveIndex,
     findTaskByPartialId,
-    appendToHistory,
     success,
     error
 } = require('../utils');
+const { moveTask } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
 
-function move(args) {
+function move(args, options = {}) {
     const boardPath = '.';
 
     // Parse arguments
@@ -18,59 +18,73 @@ function move(args) {
     const targetColumn = args[1];
 
     if (!taskId || !targetColumn) {
-        error('Usage: flatban move <task-id> <column>');
+        error('Usage: flatban move <task-id> <column> [--top | --before <id> | --after <id>] [--force]');
     }
 
     // Load config and index
     const config = loadConfig(boardPath);
     const index = loadIndex(boardPath);
 
-    // Find full task ID
-    const fullTaskId = findTaskByPartialId(index, taskId);
-
-    // Validate target column
-    const validColumns = config.columns.map(c => c.id);
-    if (!validColumns.includes(targetColumn)) {
-        error(`Invalid column: ${targetColumn}. Valid columns: ${validColumns.join(', ')}`);
+    try {
+        // Find full task ID
+        const fullTaskId = findTaskByPartialId(index, taskId);
+
+        const position = parsePosition(index, options);
+
+        const { task, oldColumn, moved, reordered, ranked } = moveTask(config, index, fullTaskId, targetColumn, boardPath, {
+            force: !!options.force,
+            position
+        });
+
+        // Check if already in target column
+        if (!moved && !reordered) {
+            success(`Task ${fullTaskId} already in ${targetColumn}`);
+            return;
+        }
+
+        saveIndex(index, boardPath);
+
+        const where = position.top ? ' (top)'
+            : position.before ? ` (before ${position.before})`
+            : position.after ? ` (after ${position.after})`
+            : '';
+        success(`${moved ? 'Moved' : 'Reordered'} ${fullTaskId} ${moved ? 'to' : 'in'} ${targetColumn}${where}`);
+
+        if (moved) {
+            sendWebhooks(config, 'move', fullTaskId, task, { from: oldColumn }, boardPath, { detachRetries: true });
+        }
+        autoCommit(config, boardPath, describeChange(moved ? 'move' : 'reorder', fullTaskId, task),
+            [task.file, ...ranked.map(id => index.tasks[id].file)]);
+    } catch (err) {
+        if (err.code === 'WIP_LIMIT' || err.code === 'BLOCKED') {
+            error(`${err.message}. Use --force to move anyway.`);
+        }
+        error(err.message);
     }
+}
 
-    const task = index.tasks[fullTaskId];
-    const oldColumn = task.status;
-
-    // Check if already in target column
-    if (oldColumn === targetColumn) {
-        success(`Task ${fullTaskId} already in ${targetColumn}`);
-        return;
+/**
+ * Read --top, --before <id> or --after <id> into a moveTask position
+ */
+function parsePosition(index, options) {
+    const given = ['top', 'before', 'after'].filter(key => options[key] !== undefined);
+    if (given.length > 1) {
+        throw new Error('Use only one of --top, --before and --after');
     }
 
-    // Move file
-    const oldPath = path.join(boardPath, task.file);
-    const newFilename = path.basename(task.file);
-    const newPath = path.join(boardPath, '.flatban', targetColumn, newFilename);
-
-    if (!fs.existsSync(oldPath)) {
-        error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+    if (options.top) {
+        return { top: true };
     }
 
-    fs.renameSync(oldPath, newPath);
-
-    // Update task history
-    const targetColumnName = config.columns.find(c => c.id === targetColumn)?.name || 'unknown';
-    appendToHistory(newPath, `Moved to ${targetColumnName}`);
-
-    // Update index
-    index.tasks[fullTaskId].file = `.flatban/${targetColumn}/${newFilename}`;
-    index.tasks[fullTaskId].status = targetColumn;
-
-    const stats = fs.statSync(newPath);
-    index.tasks[fullTaskId].modified = stats.mtime.toISOString();
-
-    index.columns[oldColumn]--;
-    index.columns[targetColumn]++;
-
-    saveIndex(index, boardPath);
+    for (const key of ['before', 'after']) {
+        if (options[key] === undefined) continue;
+        if (options[key] === true) {
+            throw new Error(`--${key} needs a task ID`);
+        }
+        return { [key]: findTaskByPartialId(index, options[key]) };
+    }
 
-    success(`Moved ${fullTaskId} to ${targetColumn}`);
+    return {};
 }
 
 module.exports = move;
@@ -0,0 +1,43 @@
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    success,
+    error
+} = require('../utils');
+const { restoreTask } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+function restore(args) {
+    const boardPath = '.';
+
+    // Parse arguments
+    const taskId = args[0];
+    const targetColumn = args[1] || null;
+
+    if (!taskId) {
+        error('Usage: flatban restore <task-id> [column]');
+    }
+
+    // Load config and index
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    try {
+        const { taskId: fullTaskId, column } = restoreTask(config, index, taskId, boardPath, targetColumn);
+
+        saveIndex(index, boardPath);
+
+        success(`Restored ${fullTaskId} to ${column}`);
+
+        const task = index.tasks[fullTaskId];
+        // Back on the board, so receivers see it as a new task
+        sendWebhooks(config, 'create', fullTaskId, task, {}, boardPath, { detachRetries: true });
+        autoCommit(config, boardPath, describeChange('restore', fullTaskId, task), [task.file]);
+    } catch (err) {
+        error(err.message);
+    }
+}
+
+module.exports = restore;
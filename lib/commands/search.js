@@ -0,0 +1,48 @@
+const { loadConfig, loadIndex, error } = require('../utils');
+const { tokenize, searchTasks, findHighlights, highlightSnippet } = require('../search');
+
+function search(args, options = {}) {
+    const boardPath = '.';
+
+    const query = args.join(' ');
+
+    if (!query.trim()) {
+        error('Usage: flatban search "query" [--limit <n>]');
+    }
+
+    const limit = options.limit !== undefined ? parseInt(options.limit, 10) : 20;
+    if (isNaN(limit) || limit < 1) {
+        error(`Invalid limit: ${options.limit}`);
+    }
+
+    // Load config and index
+    const config = loadConfig(boardPath);
+    const index = loadIndex(boardPath);
+
+    const results = searchTasks(index, query, boardPath);
+
+    if (results.length === 0) {
+        console.log(`No tasks match "${query}"`);
+        return;
+    }
+
+    // Highlight matches in bold yellow on a terminal, **like this** otherwise
+    const [open, close] = process.stdout.isTTY ? ['\x1b[1;33m', '\x1b[0m'] : ['**', '**'];
+    const terms = tokenize(query);
+
+    for (const { id, task, snippet } of results.slice(0, limit)) {
+        const columnName = config.columns.find(c => c.id === task.status)?.name || task.status;
+        const title = highlightSnippet({ text: task.title, highlights: findHighlights(task.title, terms) }, open, close);
+
+        console.log(`${id}  [${columnName}]  ${title}`);
+        if (snippet.text) {
+            console.log(`    ${highlightSnippet(snippet, open, close)}`);
+        }
+        console.log('');
+    }
+
+    const more = results.length > limit ? ` (showing ${limit}; use --limit to see more)` : '';
+    console.log(`${results.length} task(s) match "${query}"${more}`);
+}
+
+module.exports = search;
@@ -1,14 +1,15 @@
 const path = require('path');
 const fs = require('fs');
 const net = require('net');
+const crypto = require('crypto');
 const { exec } = require('child_process');
-const { createServer } = require('../server');
+const { createServer, boardUrl, isLoopbackHost } = require('../server');
 const { error } = require('../utils');
 
 // Common ports to avoid
 const COMMON_PORTS = [3000, 3001, 8000, 8080, 8888, 5000, 5001, 3847, 4200, 9000];
 
-function isPortAvailable(port) {
+function isPortAvailable(port, host) {
     return new Promise((resolve) => {
         const server = net.createServer();
 
@@ -21,7 +22,7 @@ function isPortAvailable(port) {
             resolve(true);
         });
 
-        server.listen(port);
+        server.listen(port, host);
     });
 }
 
@@ -34,16 +35,16 @@ function getRandomPort() {
     return port;
 }
 
-async function findAvailablePort(preferredPort) {
+async function findAvailablePort(preferredPort, host) {
     // Try preferred port first
-    if (await isPortAvailable(preferredPort)) {
+    if (await isPortAvailable(preferredPort, host)) {
         return preferredPort;
     }
 
     // Try random ports
     for (let i = 0; i < 10; i++) {
         const randomPort = getRandomPort();
-        if (await isPortAvailable(randomPort)) {
+        if (await isPortAvailable(randomPort, host)) {
             return randomPort;
         }
     }
@@ -79,6 +80,19 @@ async function serve(args, options = {}) {
     const boardPath = '.';
     const requestedPort = options.port || 3847;
     const shouldOpen = !options['no-open']; // Auto-open by default
+    const host = typeof options.host === 'string' ? options.host : '127.0.0.1';
+    const readonly = !!options.readonly;
+
+    if (options.host === true) {
+        error('Usage: flatban serve --host <address>');
+    }
+
+    // --token <value> sets the access token; --token alone, or listening beyond
+    // this machine without one, generates a token for this run
+    let token = typeof options.token === 'string' ? options.token : null;
+    if (options.token === true || (!token && !isLoopbackHost(host))) {
+        token = crypto.randomBytes(18).toString('hex');
+    }
 
     // Check if board is initialized
     const configFile = path.join(boardPath, '.flatban', 'config.yaml');
@@ -87,19 +101,19 @@ async function serve(args, options = {}) {
     }
 
     // Find an available port
-    const port = await findAvailablePort(requestedPort);
+    const port = await findAvailablePort(requestedPort, host);
 
     if (port !== requestedPort) {
         console.log(`Port ${requestedPort} is in use, using ${port} instead.`);
     }
 
     // Create and start the server
-    const server = createServer(boardPath, port);
+    const server = createServer(boardPath, port, { host, token, readonly });
 
     // Auto-open browser after a short delay to ensure server is ready
     if (shouldOpen) {
         setTimeout(() => {
-            openBrowser(`http://localhost:${port}`);
+            openBrowser(boardUrl(host, port, token));
         }, 500);
     }
 
@@ -5,17 +5,30 @@ const {
     loadIndex,
     findTaskByPartialId,
     parseFrontmatter,
+    formatFieldValue,
+    isOverdue,
+    getOpenBlockers,
+    formatChecklistProgress,
+    parseBodySections,
     error
 } = require('../utils');
+const { parseFormatOption, taskRecord, formatOutput } = require('../format');
 
-function show(args) {
+function show(args, options = {}) {
     const boardPath = '.';
 
     // Parse arguments
     const taskId = args[0];
 
     if (!taskId) {
-        error('Usage: flatban show <task-id>');
+        error('Usage: flatban show <task-id> [--format json|ndjson|csv|tsv|yaml]');
+    }
+
+    let format;
+    try {
+        format = parseFormatOption(options.format);
+    } catch (err) {
+        error(err.message);
     }
 
     // Load config and index
@@ -43,6 +56,13 @@ function show(args) {
     // Parse frontmatter and body
     const { frontmatter, body } = parseFrontmatter(content);
 
+    if (format) {
+        // The indexed fields plus the body split into its sections
+        const record = Object.assign(taskRecord(fullTaskId, task), parseBodySections(body));
+        process.stdout.write(formatOutput(format, record, [record], config));
+        return;
+    }
+
     // Display formatted task details
     console.log('');
     console.log(`Task: ${fullTaskId}`);
@@ -58,6 +78,39 @@ function show(args) {
         console.log(`Assigned: ${task.assigned}`);
     }
 
+    if (task.branch) {
+        console.log(`Branch: ${task.branch}`);
+    }
+
+    if (task.external_id) {
+        console.log(`Imported from: ${task.external_id}`);
+    }
+
+    if (task.blocked_by && task.blocked_by.length > 0) {
+        const openBlockers = getOpenBlockers(index, config, fullTaskId);
+        const blockers = task.blocked_by.map(blockerId => {
+            const blocker = index.tasks[blockerId];
+            if (!blocker) return `${blockerId} (missing)`;
+            return `${blockerId} "${blocker.title}" (${openBlockers.includes(blockerId) ? blocker.status : 'done'})`;
+        });
+        console.log(`Blocked by: ${blockers.join(', ')}`);
+    }
+
+    if (task.checklist) {
+        console.log(`Checklist: ${formatChecklistProgress(task)} done`);
+    }
+
+    if (task.due) {
+        console.log(`Due: ${task.due}${isOverdue(task, config) ? ' (overdue)' : ''}`);
+    }
+
+    for (const field of config.fields) {
+        const value = (task.fields || {})[field.id];
+        if (value !== undefined) {
+            console.log(`${field.name}: ${formatFieldValue(value)}`);
+        }
+    }
+
     const created = new Date(task.created).toISOString().substring(0, 16).replace('T', ' ');
     const modified = new Date(task.modified).toISOString().substring(0, 16).replace('T', ' ');
 
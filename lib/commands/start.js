@@ -0,0 +1,107 @@
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    getCurrentUser,
+    success,
+    error
+} = require('../utils');
+const { updateTask, checkMoveAllowed, moveTask } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit, taskBranchName, currentBranch, checkoutBranch, undoCheckout } = require('../git');
+
+/**
+ * Start work on a task: check out its branch (created from git.branch_pattern
+ * the first time), assign it to the current git user and move it to
+ * git.start_column (default in-progress)
+ */
+function start(args, options = {}) {
+    const boardPath = '.';
+    const taskId = args[0];
+
+    if (!taskId) {
+        error('Usage: flatban start <task-id> [--force]');
+    }
+
+    let config = loadConfig(boardPath);
+    let index = loadIndex(boardPath);
+
+    try {
+        const fullTaskId = findTaskByPartialId(index, taskId);
+        let task = index.tasks[fullTaskId];
+
+        // Refuse before touching git, so a task that can't start leaves the checkout alone
+        let column = checkStart(config, index, fullTaskId, options.force);
+
+        // A task started before keeps the branch it was started on
+        const branch = task.branch || taskBranchName(config, boardPath, fullTaskId, task);
+        const previous = currentBranch(boardPath);
+        const created = checkoutBranch(boardPath, branch);
+
+        let oldColumn, changes, moved;
+        try {
+            // An existing branch can hold a different board, so start the task as it is there
+            if (!created) {
+                config = loadConfig(boardPath);
+                index = loadIndex(boardPath);
+                if (!index.tasks[fullTaskId]) {
+                    throw new Error(`Task ${fullTaskId} is not on branch ${branch}`);
+                }
+                task = index.tasks[fullTaskId];
+                column = checkStart(config, index, fullTaskId, options.force);
+            }
+
+            oldColumn = task.status;
+            ({ changes } = updateTask(config, index, fullTaskId, { assigned: getCurrentUser(), branch }, boardPath));
+            ({ moved } = moveTask(config, index, fullTaskId, column, boardPath, { force: true }));
+        } catch (err) {
+            // Don't leave the user on a branch for a task that didn't start
+            undoCheckout(boardPath, previous, branch, created);
+            throw err;
+        }
+
+        success(`${created ? 'Created and checked out' : 'Checked out'} branch ${branch}`);
+
+        if (changes.length === 0 && !moved) {
+            success(`Task ${fullTaskId} already started`);
+            return;
+        }
+
+        saveIndex(index, boardPath);
+
+        success(`Started ${fullTaskId} "${task.title}"${moved ? ` in ${column}` : ''}, assigned to ${task.assigned}`);
+
+        if (changes.length > 0) {
+            sendWebhooks(config, 'edit', fullTaskId, task, { changes }, boardPath, { detachRetries: true });
+        }
+        if (moved) {
+            sendWebhooks(config, 'move', fullTaskId, task, { from: oldColumn }, boardPath, { detachRetries: true });
+        }
+        autoCommit(config, boardPath, describeChange('start', fullTaskId, task), [task.file]);
+    } catch (err) {
+        if (err.code === 'WIP_LIMIT' || err.code === 'BLOCKED') {
+            error(`${err.message}. Use --force to start anyway.`);
+        }
+        error(err.message);
+    }
+}
+
+/**
+ * The column the task starts in, throwing if it doesn't exist or (without
+ * force) the move isn't allowed
+ */
+function checkStart(config, index, taskId, force) {
+    const column = config.git.start_column || 'in-progress';
+    if (!config.columns.some(c => c.id === column)) {
+        throw new Error(`Column not found: ${column}. Set git.start_column in config.yaml`);
+    }
+
+    if (index.tasks[taskId].status !== column && !force) {
+        checkMoveAllowed(config, index, taskId, column);
+    }
+
+    return column;
+}
+
+module.exports = start;
@@ -3,10 +3,12 @@ const path = require('path');
 const {
     loadConfig,
     saveIndex,
-    parseFrontmatter,
+    buildIndexEntry,
+    findDependencyCycles,
     success,
     error
 } = require('../utils');
+const { loadGitTimes } = require('../git');
 
 function sync(args) {
     const boardPath = '.';
@@ -28,10 +30,13 @@ function sync(args) {
         index.columns[column.id] = 0;
     }
 
+    // Created/modified times come from git history when the board is in a repository
+    const gitTimes = loadGitTimes(boardPath);
+
     let taskCount = 0;
     let errorCount = 0;
 
-    // Scan all column directories
+    // Scan all column directories (.trash is not a column, so trashed tasks stay out of the index)
     for (const column of config.columns) {
         const columnDir = path.join(boardPath, '.flatban', column.id);
 
@@ -46,36 +51,23 @@ function sync(args) {
 
         for (const taskFile of files) {
             try {
-                // Read file
-                const content = fs.readFileSync(taskFile, 'utf8');
+                const { taskId, entry, warnings } = buildIndexEntry(config, boardPath, taskFile, column.id, gitTimes);
 
-                // Parse frontmatter
-                const { frontmatter, body } = parseFrontmatter(content);
+                for (const warning of warnings) {
+                    console.error(`Warning: ${warning}`);
+                }
 
-                const taskId = frontmatter.id;
                 if (!taskId) {
-                    console.error(`Warning: No ID in ${taskFile}`);
                     errorCount++;
                     continue;
                 }
 
-                // Get filesystem timestamps
-                const stats = fs.statSync(taskFile);
-                const created = stats.birthtime.toISOString();
-                const modified = stats.mtime.toISOString();
+                if (warnings.length > 0) {
+                    errorCount++;
+                }
 
                 // Add to index
-                const relativePath = path.relative(boardPath, taskFile);
-                index.tasks[taskId] = {
-                    file: relativePath,
-                    title: frontmatter.title || 'Untitled',
-                    status: column.id,
-                    priority: frontmatter.priority || 'medium',
-                    tags: frontmatter.tags || [],
-                    assigned: frontmatter.assigned || '',
-                    created: created,
-                    modified: modified
-                };
+                index.tasks[taskId] = entry;
 
                 // Increment column count
                 index.columns[column.id]++;
@@ -88,6 +80,12 @@ function sync(args) {
         }
     }
 
+    // Report blocked_by links that wait on each other
+    const cycles = findDependencyCycles(index);
+    for (const cycle of cycles) {
+        console.error(`Warning: Dependency cycle: ${cycle.join(' → ')}`);
+    }
+
     // Save index
     saveIndex(index, boardPath);
 
@@ -0,0 +1,90 @@
+const readline = require('readline');
+const { loadConfig, formatDatetime, success, error } = require('../utils');
+const { listTrash, emptyTrash } = require('../tasks');
+const { sendWebhooks } = require('../webhooks');
+const { autoCommit } = require('../git');
+
+function trash(args, options = {}) {
+    const boardPath = '.';
+    const subcommand = args[0] || 'list';
+
+    // Make sure we are inside a board
+    const config = loadConfig(boardPath);
+
+    switch (subcommand) {
+        case 'list':
+            showTrash(boardPath);
+            break;
+        case 'empty':
+            confirmEmpty(config, boardPath, !!options.force);
+            break;
+        default:
+            error(`Unknown trash subcommand: ${subcommand}. Use "flatban trash list" or "flatban trash empty [--force]".`);
+    }
+}
+
+/**
+ * Empty the trash after asking on a terminal; elsewhere --force is required
+ */
+function confirmEmpty(config, boardPath, force) {
+    const count = listTrash(boardPath).length;
+
+    if (count === 0) {
+        console.log('Trash is empty');
+        return;
+    }
+    if (force) {
+        emptyNow(config, boardPath);
+        return;
+    }
+    if (!process.stdin.isTTY) {
+        error(`This permanently deletes ${count} task(s). Run "flatban trash empty --force" to confirm.`);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`Permanently delete ${count} task(s) in the trash? This cannot be undone. [y/N] `, answer => {
+        rl.close();
+        if (/^y(es)?$/i.test(answer.trim())) {
+            emptyNow(config, boardPath);
+        } else {
+            console.log('Trash left as it is');
+        }
+    });
+}
+
+function emptyNow(config, boardPath) {
+    const entries = emptyTrash(boardPath);
+    success(`Permanently deleted ${entries.length} task(s) from trash`);
+    for (const entry of entries) {
+        const task = { title: entry.title, status: entry.column, external_id: entry.external_id, file: entry.file };
+        sendWebhooks(config, 'delete', entry.id, task, { permanent: true }, boardPath, { detachRetries: true });
+    }
+    if (entries.length > 0) {
+        autoCommit(config, boardPath, `flatban: empty trash (${entries.length} task(s))`, entries.map(entry => entry.file));
+    }
+}
+
+function showTrash(boardPath) {
+    const entries = listTrash(boardPath);
+
+    if (entries.length === 0) {
+        console.log('Trash is empty');
+        return;
+    }
+
+    console.log('ID         Title                          From          Deleted');
+    console.log('-'.repeat(80));
+
+    for (const entry of entries) {
+        const id = entry.id.padEnd(10);
+        const title = entry.title.substring(0, 30).padEnd(30);
+        const column = (entry.column || '?').substring(0, 13).padEnd(13);
+
+        console.log(`${id} ${title} ${column} ${formatDatetime(entry.trashed)}`);
+    }
+
+    console.log('');
+    console.log(`Total: ${entries.length} task(s) in trash. Restore with: flatban restore <task-id>`);
+}
+
+module.exports = trash;
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    findTaskByPartialId,
+    modifyTaskFile,
+    addHistoryEntry,
+    success,
+    error
+} = require('../utils');
+const { setField, removeField } = require('../frontmatter');
+const { sendWebhooks } = require('../webhooks');
+const { describeChange, autoCommit } = require('../git');
+
+function unblock(args) {
+    const boardPath = '.';
+
+    // Parse arguments
+    const taskId = args[0];
+    const blockerId = args[1];
+
+    if (!taskId) {
+        error('Usage: flatban unblock <task-id> [blocker-id]');
+    }
+
+    const index = loadIndex(boardPath);
+
+    let fullTaskId;
+    try {
+        fullTaskId = findTaskByPartialId(index, taskId);
+    } catch (err) {
+        error(err.message);
+    }
+
+    const task = index.tasks[fullTaskId];
+    const blockedBy = task.blocked_by || [];
+
+    // Without a blocker ID every link is removed. Blockers may already be
+    // deleted, so match against the task's own list rather than the index.
+    let removed;
+    if (blockerId) {
+        const matches = blockedBy.filter(id => id.startsWith(blockerId));
+        if (matches.length === 0) {
+            error(`${fullTaskId} is not blocked by ${blockerId}`);
+        }
+        if (matches.length > 1) {
+            error(`Multiple blockers match ${blockerId}: ${matches.join(', ')}`);
+        }
+        removed = matches;
+    } else {
+        removed = blockedBy;
+    }
+
+    if (removed.length === 0) {
+        success(`${fullTaskId} has no blockers`);
+        return;
+    }
+
+    const taskFile = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskFile)) {
+        error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+    }
+
+    const remaining = blockedBy.filter(id => !removed.includes(id));
+    const change = `No longer blocked by ${removed.join(', ')}`;
+    modifyTaskFile(taskFile, doc => {
+        if (remaining.length > 0) {
+            setField(doc, 'blocked_by', remaining);
+        } else {
+            removeField(doc, 'blocked_by');
+        }
+        addHistoryEntry(doc, change);
+    });
+
+    // Update index
+    if (remaining.length > 0) {
+        task.blocked_by = remaining;
+    } else {
+        delete task.blocked_by;
+    }
+    task.modified = fs.statSync(taskFile).mtime.toISOString();
+
+    saveIndex(index, boardPath);
+
+    success(`${fullTaskId} is no longer blocked by ${removed.join(', ')}`);
+
+    const config = loadConfig(boardPath);
+    sendWebhooks(config, 'edit', fullTaskId, task, { changes: [change] }, boardPath, { detachRetries: true });
+    autoCommit(config, boardPath, describeChange('edit', fullTaskId, task, { changes: [change] }), [task.file]);
+}
+
+module.exports = unblock;
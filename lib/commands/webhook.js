@@ -0,0 +1,73 @@
+const { loadConfig, loadIndex, success, error } = require('../utils');
+const { WEBHOOK_LOG_FILE, buildPayload, deliverWebhook } = require('../webhooks');
+
+function webhook(args) {
+    const boardPath = '.';
+    const subcommand = args[0] || 'list';
+
+    const config = loadConfig(boardPath);
+
+    switch (subcommand) {
+        case 'list':
+            listWebhooks(config);
+            break;
+        case 'test':
+            testWebhook(config, args[1], boardPath);
+            break;
+        default:
+            error(`Unknown webhook subcommand: ${subcommand}. Use "flatban webhook list" or "flatban webhook test <name>".`);
+    }
+}
+
+function listWebhooks(config) {
+    if (config.webhooks.length === 0) {
+        console.log('No webhooks configured. Add them under webhooks: in .flatban/config.yaml');
+        return;
+    }
+
+    for (const hook of config.webhooks) {
+        const events = hook.events.length > 0 ? hook.events.join(', ') : 'all events';
+        const columns = hook.columns.length > 0 ? ` in ${hook.columns.join(', ')}` : '';
+        const signed = hook.secret ? ', signed' : '';
+        console.log(`${hook.name.padEnd(16)} ${hook.url}  (${events}${columns}${signed})`);
+    }
+}
+
+/**
+ * Send one sample event to a hook, ignoring its filters, and report the result
+ * The sample describes the most recently modified task, or a made-up one on an empty board.
+ */
+async function testWebhook(config, name, boardPath) {
+    if (!name) {
+        error('Usage: flatban webhook test <name>');
+    }
+
+    const hook = config.webhooks.find(h => h.name === name);
+    if (!hook) {
+        const names = config.webhooks.map(h => h.name);
+        error(`Webhook not found: ${name}${names.length > 0 ? `. Configured webhooks: ${names.join(', ')}` : ''}`);
+    }
+
+    const index = loadIndex(boardPath);
+    const [taskId, task] = Object.entries(index.tasks)
+        .sort(([, a], [, b]) => new Date(b.modified) - new Date(a.modified))[0]
+        || ['0000000', {
+            title: 'Sample task',
+            status: config.columns[0].id,
+            priority: 'medium',
+            created: new Date().toISOString(),
+            modified: new Date().toISOString(),
+            file: `${config.columns[0].id}/0000000-sample-task.md`
+        }];
+
+    const payload = { ...buildPayload(config, 'test', taskId, task), test: true };
+    const result = await deliverWebhook(hook, payload, boardPath, { retry: false });
+
+    if (!result.ok) {
+        error(`Test event to "${name}" failed: ${result.error} (logged to .flatban/${WEBHOOK_LOG_FILE})`);
+    }
+
+    success(`Sent test event to "${name}" (HTTP ${result.status})`);
+}
+
+module.exports = webhook;
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    parseFrontmatter,
+    parseBodySections,
+    getColumnTasks
+} = require('./utils');
+const { createTask, updateTask, moveTask } = require('./tasks');
+const { escapeCsv, joinList, splitList } = require('./format');
+
+/**
+ * CSV round trip for editing tasks in a spreadsheet
+ *
+ * "flatban export --csv" writes one row per task with CSV_COLUMNS. "flatban
+ * import --csv" reads such a file back: rows with an ID update that task, rows
+ * without one create a task. Only the columns present in the file are applied,
+ * and created/modified are never written back. Imports are planned and checked
+ * in full before anything is written, so a bad row leaves the board untouched.
+ */
+
+const CSV_COLUMNS = ['id', 'title', 'column', 'priority', 'tags', 'assigned', 'created', 'modified', 'description'];
+
+// Set from the files themselves, so they are ignored on import
+const READ_ONLY_COLUMNS = ['created', 'modified'];
+
+/**
+ * Render the board as CSV, column by column in board order
+ */
+function exportCsv(config, index, boardPath) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    for (const column of config.columns) {
+        for (const task of getColumnTasks(index, column.id)) {
+            let description = '';
+            try {
+                const { body } = parseFrontmatter(fs.readFileSync(path.join(boardPath, task.file), 'utf8'));
+                description = parseBodySections(body).description;
+            } catch (err) {
+                // Missing file: export what the index knows
+            }
+
+            const values = {
+                ...task,
+                column: task.status,
+                tags: joinList(task.tags || []),
+                description
+            };
+            lines.push(CSV_COLUMNS.map(key => escapeCsv(String(values[key] || ''))).join(','));
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Quoted fields may hold commas, quotes ("") and line breaks; blank lines are skipped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Spreadsheets often save with a byte order mark
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+}
+
+function showValue(value) {
+    return value ? value : '(none)';
+}
+
+/**
+ * Work out what importing CSV text would change
+ * Returns { rows, ignored } where ignored lists unknown header names and rows
+ * are { row, action, taskId, title, updates, column, diff } with action
+ * create, update or unchanged; diff describes each change. Throws with every
+ * problem found (unknown IDs, columns or priorities, missing titles) at once.
+ */
+function planCsvImport(config, index, text, boardPath) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        throw new Error('The CSV file is empty');
+    }
+
+    // Our own list/board CSV calls the column "status"
+    const names = header.map(name => {
+        const key = name.trim().toLowerCase();
+        return key === 'status' ? 'column' : key;
+    });
+    if (!names.includes('id') && !names.includes('title')) {
+        throw new Error('The CSV file needs an id or a title column');
+    }
+    const ignored = header.filter((name, i) => !CSV_COLUMNS.includes(names[i]));
+
+    const columns = config.columns.map(c => c.id);
+    const problems = [];
+    const seen = new Set();
+    const rows = [];
+
+    records.forEach((cells, i) => {
+        const row = i + 2; // Row 1 is the header
+        const values = {};
+        names.forEach((name, j) => {
+            if (CSV_COLUMNS.includes(name) && !READ_ONLY_COLUMNS.includes(name)) {
+                values[name] = (cells[j] || '').replace(/\r\n/g, '\n').trim();
+            }
+        });
+
+        if (values.column && !columns.includes(values.column)) {
+            problems.push(`Row ${row}: invalid column ${values.column}. Valid columns: ${columns.join(', ')}`);
+        }
+        if (values.priority && !config.priorities.includes(values.priority)) {
+            problems.push(`Row ${row}: invalid priority ${values.priority}. Valid priorities: ${config.priorities.join(', ')}`);
+        }
+
+        const tags = values.tags !== undefined
+            ? [...new Set(splitList(values.tags))]
+            : undefined;
+
+        if (!values.id) {
+            if (!values.title) {
+                problems.push(`Row ${row}: a new task needs a title`);
+                return;
+            }
+            rows.push({
+                row,
+                action: 'create',
+                taskId: null,
+                title: values.title,
+                updates: { ...values, tags },
+                column: values.column || null,
+                diff: []
+            });
+            return;
+        }
+
+        const task = index.tasks[values.id];
+        if (!task) {
+            problems.push(`Row ${row}: no task with ID ${values.id} (leave id empty to create a task)`);
+            return;
+        }
+        if (seen.has(values.id)) {
+            problems.push(`Row ${row}: ${values.id} appears more than once`);
+            return;
+        }
+        seen.add(values.id);
+
+        const updates = {};
+        const diff = [];
+
+        if (values.title !== undefined && values.title !== task.title) {
+            if (!values.title) {
+                problems.push(`Row ${row}: ${values.id} needs a title`);
+            }
+            updates.title = values.title;
+            diff.push(`title "${task.title}" → "${values.title}"`);
+        }
+        if (values.priority && values.priority !== task.priority) {
+            updates.priority = values.priority;
+            diff.push(`priority ${task.priority} → ${values.priority}`);
+        }
+        if (tags !== undefined && JSON.stringify(tags) !== JSON.stringify(task.tags || [])) {
+            updates.tags = tags;
+            diff.push(`tags ${showValue(joinList(task.tags || []))} → ${showValue(joinList(tags))}`);
+        }
+        if (values.assigned !== undefined && values.assigned !== (task.assigned || '')) {
+            updates.assigned = values.assigned;
+            diff.push(`assigned ${showValue(task.assigned)} → ${showValue(values.assigned)}`);
+        }
+        if (values.description !== undefined) {
+            const { body } = parseFrontmatter(fs.readFileSync(path.join(boardPath, task.file), 'utf8'));
+            if (values.description !== parseBodySections(body).description) {
+                updates.description = values.description;
+                diff.push('description changed');
+            }
+        }
+
+        const column = values.column && values.column !== task.status ? values.column : null;
+        if (column) {
+            diff.push(`column ${task.status} → ${column}`);
+        }
+
+        rows.push({
+            row,
+            action: diff.length > 0 ? 'update' : 'unchanged',
+            taskId: values.id,
+            title: task.title,
+            updates,
+            column,
+            diff
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Nothing was imported:\n  ${problems.join('\n  ')}`);
+    }
+
+    return { rows, ignored };
+}
+
+/**
+ * Apply a plan from planCsvImport
+ * WIP limits are not enforced. The caller is responsible for saving the index.
+ * Returns { created: [taskId], updated: [taskId], events, files }, where events
+ * are the { event, taskId, details } to send to webhooks.
+ */
+function applyCsvImport(config, index, plan, boardPath) {
+    const result = { created: [], updated: [], events: [], files: [] };
+
+    for (const row of plan.rows) {
+        if (row.action === 'create') {
+            const { taskId, task, ranked } = createTask(config, index, {
+                title: row.title,
+                column: row.column || undefined,
+                priority: row.updates.priority || undefined,
+                tags: row.updates.tags || [],
+                assigned: row.updates.assigned || '',
+                description: row.updates.description || ''
+            }, boardPath, { force: true });
+
+            row.taskId = taskId;
+            result.created.push(taskId);
+            result.events.push({ event: 'create', taskId, details: {} });
+            result.files.push(task.file, ...ranked.map(id => index.tasks[id].file));
+        } else if (row.action === 'update') {
+            const { changes } = updateTask(config, index, row.taskId, row.updates, boardPath);
+            if (changes.length > 0) {
+                result.events.push({ event: 'edit', taskId: row.taskId, details: { changes } });
+            }
+
+            let ranked = [];
+            if (row.column) {
+                const moved = moveTask(config, index, row.taskId, row.column, boardPath, { force: true });
+                ranked = moved.ranked;
+                result.events.push({ event: 'move', taskId: row.taskId, details: { from: moved.oldColumn } });
+            }
+
+            result.updated.push(row.taskId);
+            result.files.push(index.tasks[row.taskId].file, ...ranked.map(id => index.tasks[id].file));
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    exportCsv,
+    parseCsv,
+    planCsvImport,
+    applyCsvImport
+};
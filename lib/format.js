@@ -0,0 +1,220 @@
+/**
+ * Machine-readable output for list, show and board (--format)
+ *
+ * Every task is rendered as the same record with the same keys in the same
+ * order, whether or not a value is set, so scripts can rely on the shape.
+ * CSV and TSV flatten lists to comma-separated text (see joinList) and custom
+ * fields to "fields.<id>" columns.
+ */
+
+const FORMATS = ['json', 'ndjson', 'csv', 'tsv', 'yaml'];
+
+/**
+ * Validate a --format option; returns null for the default text output
+ */
+function parseFormatOption(value) {
+    if (value === undefined) return null;
+    if (value === true || !FORMATS.includes(value)) {
+        throw new Error(`Invalid format: ${value === true ? '(none)' : value}. Valid formats: ${FORMATS.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Build the stable record for an index entry
+ */
+function taskRecord(id, task) {
+    return {
+        id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        tags: task.tags || [],
+        assigned: task.assigned || null,
+        created: task.created,
+        modified: task.modified,
+        due: task.due || null,
+        blocked_by: task.blocked_by || [],
+        checklist: task.checklist || null,
+        fields: task.fields || {},
+        rank: task.rank || null,
+        branch: task.branch || null,
+        external_id: task.external_id || null,
+        file: task.file
+    };
+}
+
+/**
+ * Join list items (tags, list fields) into one cell, separated by commas
+ * A comma or backslash inside an item is escaped with a backslash, so
+ * splitList gives back the same items.
+ */
+function joinList(items) {
+    return items.map(item => String(item).replace(/[\\,]/g, '\\$&')).join(',');
+}
+
+/**
+ * Split a cell written by joinList; items are trimmed and empty ones dropped
+ */
+function splitList(text) {
+    const items = [];
+    let item = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+            item += text[++i];
+        } else if (text[i] === ',') {
+            items.push(item);
+            item = '';
+        } else {
+            item += text[i];
+        }
+    }
+    items.push(item);
+    return items.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Flatten a record into [column, text] pairs for CSV/TSV
+ * Custom fields get one column each so every row has the same columns.
+ */
+function flattenRecord(record, config) {
+    const join = (value) => (Array.isArray(value) ? joinList(value) : value === null || value === undefined ? '' : String(value));
+    const row = [];
+
+    for (const [key, value] of Object.entries(record)) {
+        if (key === 'checklist') {
+            row.push(['checklist_done', value ? String(value.done) : '']);
+            row.push(['checklist_total', value ? String(value.total) : '']);
+        } else if (key === 'fields') {
+            for (const field of config.fields || []) {
+                row.push([`fields.${field.id}`, join(value[field.id])]);
+            }
+        } else if (key === 'history') {
+            row.push([key, value.map(entry => `${entry.timestamp}: ${entry.message}`).join('\n')]);
+        } else if (key === 'comments') {
+            // Replies are indented under the comment they answer
+            const line = (comment, indent) => `${indent}${comment.author} (${comment.timestamp}): ${comment.text}`;
+            row.push([key, value.flatMap(comment => [line(comment, ''), ...comment.replies.map(reply => line(reply, '  '))]).join('\n')]);
+        } else if (key === 'sections') {
+            continue;
+        } else {
+            row.push([key, join(value)]);
+        }
+    }
+
+    return row;
+}
+
+function escapeCsv(text) {
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeTsv(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n');
+}
+
+function toDelimited(records, config, separator, escape) {
+    const rows = records.map(record => flattenRecord(record, config));
+    const header = rows.length > 0
+        ? rows[0].map(([column]) => column)
+        : flattenRecord(taskRecord('', {}), config).map(([column]) => column);
+
+    const lines = [header.map(escape).join(separator)];
+    for (const row of rows) {
+        lines.push(row.map(([, text]) => escape(text)).join(separator));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a YAML scalar; strings are always double-quoted so they never read back as numbers or booleans
+ */
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Write a mapping key bare when it is a plain identifier, otherwise quoted
+ * Custom field and section names may hold ":", "#" or a leading "-".
+ */
+function yamlKey(key) {
+    if (/^[A-Za-z_][\w-]*$/.test(key) && !/^(true|false|yes|no|on|off|null)$/i.test(key)) {
+        return key;
+    }
+    return yamlScalar(key);
+}
+
+function yamlLines(value, depth) {
+    const pad = '  '.repeat(depth);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return null;
+        return value.flatMap(item => {
+            const nested = yamlLines(item, depth + 1);
+            if (nested === null || typeof nested === 'string') {
+                return [`${pad}- ${nested === null ? (Array.isArray(item) ? '[]' : '{}') : nested}`];
+            }
+            // Hang the first line of a nested block off the dash
+            return [`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1)];
+        });
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return null;
+        return entries.flatMap(([name, child]) => {
+            const key = yamlKey(name);
+            const nested = yamlLines(child, depth + 1);
+            if (nested === null) {
+                return [`${pad}${key}: ${Array.isArray(child) ? '[]' : '{}'}`];
+            }
+            if (typeof nested === 'string') {
+                return [`${pad}${key}: ${nested}`];
+            }
+            return [`${pad}${key}:`, ...nested];
+        });
+    }
+
+    return yamlScalar(value);
+}
+
+function toYaml(value) {
+    const lines = yamlLines(value, 0);
+    if (lines === null) return Array.isArray(value) ? '[]\n' : '{}\n';
+    return (typeof lines === 'string' ? lines : lines.join('\n')) + '\n';
+}
+
+/**
+ * Render a list of records (list, board) or a single record (show)
+ * data is what json and yaml print; records is what ndjson, csv and tsv print one per line.
+ */
+function formatOutput(format, data, records, config) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(data, null, 2) + '\n';
+        case 'ndjson':
+            return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+        case 'csv':
+            return toDelimited(records, config, ',', escapeCsv);
+        case 'tsv':
+            return toDelimited(records, config, '\t', escapeTsv);
+        case 'yaml':
+            return toYaml(data);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    parseFormatOption,
+    taskRecord,
+    escapeCsv,
+    joinList,
+    splitList,
+    formatOutput
+};
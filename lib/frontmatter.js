@@ -0,0 +1,535 @@
+/**
+ * Lossless frontmatter parser and writer
+ *
+ * A task file is split into its frontmatter nodes and its markdown body. Every
+ * top-level key keeps the raw lines it was read from, so serializing a document
+ * reproduces the original text byte for byte. Only keys changed through
+ * setField/removeField are re-rendered, which keeps comments, key order and
+ * hand-written fields intact when a command edits a task.
+ *
+ * Supported YAML subset: plain, single- and double-quoted scalars, flow
+ * sequences and mappings ([a, "b, c"] / {a: 1}), block sequences, nested block
+ * mappings, literal (|) and folded (>) block scalars, and # comments.
+ */
+
+const INDENT = '  ';
+
+/**
+ * Split file content into frontmatter nodes and body
+ */
+function parseDocument(content) {
+    const lines = content.split('\n');
+
+    if (lines[0].trimEnd() !== '---') {
+        throw new Error('No valid frontmatter found');
+    }
+
+    let closeIdx = -1;
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i].trimEnd() === '---') {
+            closeIdx = i;
+            break;
+        }
+    }
+
+    if (closeIdx === -1) {
+        throw new Error('No valid frontmatter found');
+    }
+
+    return {
+        open: lines[0],
+        nodes: parseNodes(lines.slice(1, closeIdx)),
+        close: lines[closeIdx],
+        // A file that ends right at the closing --- has no newline before the body
+        hasBody: closeIdx + 1 < lines.length,
+        body: lines.slice(closeIdx + 1).join('\n')
+    };
+}
+
+/**
+ * Group frontmatter lines into top-level nodes
+ * A field node owns its key line plus every indented (or "- ") continuation line.
+ * Comments and blank lines between fields become raw nodes.
+ */
+function parseNodes(lines) {
+    const nodes = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const keyMatch = line.match(/^([^\s#-][^:]*?):(?=\s|$)(.*)$/);
+
+        if (!keyMatch) {
+            nodes.push({ raw: [line] });
+            i++;
+            continue;
+        }
+
+        const raw = [line];
+        i++;
+
+        // Collect continuation lines; blank lines only count when more content follows
+        while (i < lines.length) {
+            let j = i;
+            while (j < lines.length && lines[j].trim() === '') j++;
+            if (j >= lines.length || !isContinuation(lines[j])) break;
+            while (i <= j) raw.push(lines[i++]);
+        }
+
+        nodes.push({
+            key: keyMatch[1].trim(),
+            raw,
+            value: parseValue(keyMatch[2], raw.slice(1)),
+            style: detectStyle(keyMatch[2], raw.slice(1)),
+            comment: extractComment(keyMatch[2])
+        });
+    }
+
+    return nodes;
+}
+
+function isContinuation(line) {
+    return /^\s/.test(line) || /^-(\s|$)/.test(line);
+}
+
+/**
+ * Remember how a value was written so a rewrite can keep the same style
+ */
+function detectStyle(inline, children) {
+    const text = stripComment(inline).trim();
+
+    if (text.startsWith('"')) return 'double';
+    if (text.startsWith("'")) return 'single';
+    if (text.startsWith('[') || text.startsWith('{')) return 'flow';
+    if (/^[|>]/.test(text)) return 'literal';
+    if (text === '' && children.some(l => l.trim() !== '')) return 'block';
+    return 'plain';
+}
+
+/**
+ * Return the trailing " # comment" of an inline value, if any
+ */
+function extractComment(inline) {
+    const stripped = stripComment(inline);
+    return inline.substring(stripped.length).trim();
+}
+
+/**
+ * Remove a trailing comment, ignoring # inside quotes or brackets
+ */
+function stripComment(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quote) {
+            if (ch === '\\' && quote === '"') {
+                i++;
+            } else if (ch === quote) {
+                quote = null;
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.substring(0, i).trimEnd();
+        }
+    }
+
+    return text;
+}
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+/**
+ * Parse the value of a key from the text after the colon and its continuation lines
+ */
+function parseValue(inline, children) {
+    const text = stripComment(inline).trim();
+
+    if (/^[|>][+-]?$/.test(text)) {
+        return parseBlockScalar(text, children);
+    }
+
+    if (text === '') {
+        const meaningful = children.filter(l => l.trim() !== '' && !l.trim().startsWith('#'));
+        return meaningful.length > 0 ? parseBlock(meaningful) : '';
+    }
+
+    return parseInline(text);
+}
+
+/**
+ * Parse literal (|) and folded (>) block scalars
+ */
+function parseBlockScalar(indicator, children) {
+    const contentLines = children.filter(l => l.trim() !== '');
+    if (contentLines.length === 0) return '';
+
+    const indent = Math.min(...contentLines.map(indentOf));
+    const lines = children.map(l => l.substring(indent));
+
+    // Drop trailing blank lines before applying chomping
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+    let value;
+    if (indicator[0] === '|') {
+        value = lines.join('\n');
+    } else {
+        value = '';
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i] === '') {
+                value += '\n';
+            } else {
+                const prev = lines[i - 1];
+                value += (i > 0 && prev !== '' ? ' ' : '') + lines[i];
+            }
+        }
+    }
+
+    return indicator.endsWith('-') ? value : value + '\n';
+}
+
+/**
+ * Parse an indented block (sequence or mapping)
+ */
+function parseBlock(lines) {
+    const baseIndent = indentOf(lines[0]);
+    const isSequence = /^-(\s|$)/.test(lines[0].trim());
+
+    const items = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const head = lines[i];
+        const children = [];
+        i++;
+
+        while (i < lines.length && indentOf(lines[i]) > baseIndent) {
+            children.push(lines[i++]);
+        }
+
+        // Sequences nested under a key may sit at the key's own indent
+        if (!isSequence) {
+            while (i < lines.length && indentOf(lines[i]) === baseIndent && /^-(\s|$)/.test(lines[i].trim())) {
+                children.push(lines[i++]);
+            }
+        }
+
+        items.push({ head: head.substring(baseIndent), children });
+    }
+
+    if (isSequence) {
+        return items.map(({ head, children }) => {
+            const content = head.replace(/^-\s?/, '');
+
+            if (content.trim() === '') {
+                return children.length > 0 ? parseBlock(children) : '';
+            }
+
+            // "- key: value" starts a mapping inside the sequence
+            if (/^[^\s"'[{#][^:]*:(\s|$)/.test(content)) {
+                const pad = ' '.repeat(baseIndent + 2);
+                return parseBlock([pad + content, ...children]);
+            }
+
+            return parseInline(stripComment(content).trim());
+        });
+    }
+
+    const result = {};
+    for (const { head, children } of items) {
+        const match = head.match(/^([^:]+?):(?=\s|$)(.*)$/);
+        if (!match) continue;
+        result[unquote(match[1].trim())] = parseValue(match[2], children);
+    }
+    return result;
+}
+
+/**
+ * Parse a single-line value: quoted string, flow collection or plain scalar
+ */
+function parseInline(text) {
+    if (text.startsWith('[') && text.endsWith(']')) {
+        return splitFlow(text.slice(1, -1)).map(parseInline);
+    }
+
+    if (text.startsWith('{') && text.endsWith('}')) {
+        const result = {};
+        for (const pair of splitFlow(text.slice(1, -1))) {
+            const idx = pair.indexOf(':');
+            if (idx === -1) {
+                result[unquote(pair)] = '';
+            } else {
+                result[unquote(pair.substring(0, idx).trim())] = parseInline(pair.substring(idx + 1).trim());
+            }
+        }
+        return result;
+    }
+
+    return unquote(text);
+}
+
+/**
+ * Split the inside of a flow collection on top-level commas
+ */
+function splitFlow(text) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quote) {
+            current += ch;
+            if (ch === '\\' && quote === '"' && i + 1 < text.length) {
+                current += text[++i];
+            } else if (ch === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ']' || ch === '}') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+
+        current += ch;
+    }
+
+    if (current.trim() !== '') {
+        parts.push(current.trim());
+    }
+
+    return parts;
+}
+
+/**
+ * Remove surrounding quotes and resolve escapes
+ */
+function unquote(text) {
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+        return text.slice(1, -1).replace(/\\(["\\nt])/g, (m, ch) => {
+            return { n: '\n', t: '\t' }[ch] || ch;
+        });
+    }
+
+    if (text.length >= 2 && text.startsWith("'") && text.endsWith("'")) {
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+
+    return text;
+}
+
+/**
+ * Quote a scalar when writing it plain would change its meaning
+ */
+function formatScalar(value, style = 'plain', inFlow = false) {
+    const text = String(value);
+
+    if (style === 'single' && !text.includes('\n')) {
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+
+    const needsQuotes = style === 'double'
+        || text === ''
+        || text !== text.trim()
+        || /^[-?:,[\]{}#&*!|>'"%@`]/.test(text)
+        || /:(\s|$)|\s#/.test(text)
+        || /[\n\t"\\]/.test(text)
+        || (inFlow && /[,[\]{}]/.test(text));
+
+    if (!needsQuotes) {
+        return text;
+    }
+
+    const escaped = text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+}
+
+function isScalar(value) {
+    return value === null || typeof value !== 'object';
+}
+
+/**
+ * Render a key and value as frontmatter lines
+ */
+function formatField(key, value, style = 'plain', depth = 0) {
+    const pad = INDENT.repeat(depth);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            return [`${pad}${key}: []`];
+        }
+
+        if (style !== 'block' && value.every(isScalar)) {
+            return [`${pad}${key}: [${value.map(v => formatScalar(v, 'plain', true)).join(', ')}]`];
+        }
+
+        const lines = [`${pad}${key}:`];
+        for (const item of value) {
+            lines.push(...formatSequenceItem(item, depth + 1));
+        }
+        return lines;
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) {
+            return [`${pad}${key}: {}`];
+        }
+
+        const lines = [`${pad}${key}:`];
+        for (const [childKey, childValue] of entries) {
+            lines.push(...formatField(childKey, childValue, 'plain', depth + 1));
+        }
+        return lines;
+    }
+
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (text.includes('\n') && style !== 'double') {
+        const chomp = text.endsWith('\n') ? '' : '-';
+        const body = text.replace(/\n$/, '').split('\n').map(l => (l ? pad + INDENT + l : ''));
+        return [`${pad}${key}: |${chomp}`, ...body];
+    }
+
+    if (text === '' && style === 'plain') {
+        return [`${pad}${key}:`];
+    }
+
+    return [`${pad}${key}: ${formatScalar(text, style)}`];
+}
+
+function formatSequenceItem(item, depth) {
+    const pad = INDENT.repeat(depth);
+
+    if (isScalar(item)) {
+        return [`${pad}- ${formatScalar(item === null ? '' : item)}`];
+    }
+
+    // Render the item one level deeper, then hang the first line off the dash
+    const lines = Array.isArray(item)
+        ? item.flatMap(child => formatSequenceItem(child, depth + 1))
+        : Object.entries(item).flatMap(([k, v]) => formatField(k, v, 'plain', depth + 1));
+
+    if (lines.length === 0) {
+        return [`${pad}- ${Array.isArray(item) ? '[]' : '{}'}`];
+    }
+
+    lines[0] = `${pad}- ${lines[0].trimStart()}`;
+    return lines;
+}
+
+/**
+ * Read a field's parsed value
+ */
+function getField(doc, key) {
+    const node = doc.nodes.find(n => n.key === key);
+    return node ? node.value : undefined;
+}
+
+/**
+ * Set a field, re-rendering only that field
+ * Existing fields keep their position, quoting style and trailing comment.
+ */
+function setField(doc, key, value) {
+    const node = doc.nodes.find(n => n.key === key);
+
+    if (!node) {
+        const raw = formatField(key, value);
+        let insertAt = doc.nodes.length;
+
+        // Keep new keys above trailing blank lines
+        while (insertAt > 0 && !doc.nodes[insertAt - 1].key && doc.nodes[insertAt - 1].raw[0].trim() === '') {
+            insertAt--;
+        }
+
+        doc.nodes.splice(insertAt, 0, { key, raw, value, style: 'plain', comment: '' });
+        return;
+    }
+
+    if (sameValue(node.value, value)) {
+        return;
+    }
+
+    let style = node.style;
+    if (style === 'literal' && !(typeof value === 'string' && value.includes('\n'))) {
+        style = 'plain';
+    }
+
+    const raw = formatField(key, value, style);
+    if (node.comment && raw.length === 1) {
+        raw[0] += ` ${node.comment}`;
+    }
+
+    node.raw = raw;
+    node.value = value;
+}
+
+/**
+ * Remove a field and its lines
+ */
+function removeField(doc, key) {
+    const idx = doc.nodes.findIndex(n => n.key === key);
+    if (idx !== -1) {
+        doc.nodes.splice(idx, 1);
+    }
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Plain object of every field in the document
+ */
+function toObject(doc) {
+    const result = {};
+    for (const node of doc.nodes) {
+        if (node.key) {
+            result[node.key] = node.value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Turn a document back into file content
+ */
+function serializeDocument(doc) {
+    const lines = [doc.open];
+    for (const node of doc.nodes) {
+        lines.push(...node.raw);
+    }
+    lines.push(doc.close);
+
+    const hasBody = doc.hasBody || doc.body !== '';
+    return lines.join('\n') + (hasBody ? '\n' + doc.body : '');
+}
+
+module.exports = {
+    parseDocument,
+    serializeDocument,
+    getField,
+    setField,
+    removeField,
+    toObject,
+    formatField
+};
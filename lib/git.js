@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ignoreBoardFile } = require('./utils');
+
+/**
+ * Git helpers for boards kept in a git repository
+ *
+ * File timestamps are reset by clones and checkouts, so sync takes a task's
+ * created and modified times from the first and last commits that touched its
+ * file. Files are matched by name, which stays the same when a task moves
+ * between columns. The times are cached in .flatban/git-times.json together
+ * with the commit they were read at, so later syncs only read newer commits;
+ * .flatban/.gitignore keeps the cache out of git.
+ *
+ * With git.auto_commit on in config.yaml, every change made by the CLI or the
+ * web viewer is committed with a message describing it. "flatban start" works
+ * on a task in a branch named after it. The other way round,
+ * the post-commit hook from "flatban hooks install" moves tasks that commit
+ * messages close or reference.
+ */
+
+const GIT_TIMES_FILE = 'git-times.json';
+const GIT_TIMES_VERSION = 1;
+
+const INDEX_FILE = '.flatban/index.json';
+
+// "closes abc1234", "Fixes #abc1234 and def5678", "refs: abc1234, def5678"
+// A list of IDs stops at the next keyword, so "fixes abc1234, refs def5678" is two references.
+const REFERENCE_KEYWORDS = '(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?|refs?|references)\\b';
+const REFERENCE_PATTERN = new RegExp(
+    `\\b(${REFERENCE_KEYWORDS}):?\\s+(#?[0-9a-z]+(?:(?:\\s*,\\s*|\\s+and\\s+)(?!${REFERENCE_KEYWORDS})#?[0-9a-z]+)*)`,
+    'gi'
+);
+
+// Task IDs are at least 7 characters (3 random, then 4 or more of timestamp);
+// anything shorter after a keyword ("fix the typo", "refs docs") is an ordinary word
+const MIN_REFERENCE_LENGTH = 7;
+
+/**
+ * Run git in the board directory and return its output
+ * Throws with git's own error message when git is not installed or the command fails.
+ */
+function git(boardPath, args) {
+    try {
+        return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+            cwd: boardPath,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+    } catch (err) {
+        const stderr = (err.stderr || '').trim();
+        throw new Error(stderr ? stderr.split('\n')[0].replace(/^(fatal|error): /, '') : err.message);
+    }
+}
+
+/**
+ * Read { "<file name>": { created, modified } } for task files from commits in range
+ */
+function readCommitTimes(boardPath, range) {
+    const output = git(boardPath, ['log', '--format=%x01%aI', '--name-only', '--no-renames', range, '--', '.flatban']);
+    const times = {};
+
+    // Newest commit first: the first commit seen is the last change, the last one seen the first
+    for (const commit of output.split('\x01').slice(1)) {
+        const [date, ...files] = commit.split('\n');
+        const timestamp = new Date(date).toISOString();
+
+        for (const file of files) {
+            if (!file.endsWith('.md')) continue;
+            const name = path.basename(file);
+            if (!times[name]) {
+                times[name] = { created: timestamp, modified: timestamp };
+            } else {
+                times[name].created = timestamp;
+            }
+        }
+    }
+
+    return times;
+}
+
+function isAncestor(boardPath, commit) {
+    try {
+        git(boardPath, ['merge-base', '--is-ancestor', commit, 'HEAD']);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Load commit times for every task file, or null when the board is not in a git repository
+ * Returns { files: { "<file name>": { created, modified } }, dirty: [file names with uncommitted changes] }.
+ */
+function loadGitTimes(boardPath = '.') {
+    let head;
+    try {
+        head = git(boardPath, ['rev-parse', 'HEAD']).trim();
+    } catch (err) {
+        // Not a git repository, no commits yet, or git is not installed
+        return null;
+    }
+
+    // Boards made before .flatban/.gitignore existed get one here
+    ignoreBoardFile(boardPath, GIT_TIMES_FILE);
+
+    const cachePath = path.join(boardPath, '.flatban', GIT_TIMES_FILE);
+    let cache = null;
+    if (fs.existsSync(cachePath)) {
+        try {
+            const loaded = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+            if (loaded.version === GIT_TIMES_VERSION) {
+                cache = loaded;
+            }
+        } catch (err) {
+            // Corrupt cache; read the whole history again
+        }
+    }
+
+    if (!cache || cache.head !== head) {
+        // Only read the new commits when HEAD moved forward; after a rebase or reset start over
+        const incremental = cache && isAncestor(boardPath, cache.head);
+        const files = incremental ? cache.files : {};
+
+        for (const [name, times] of Object.entries(readCommitTimes(boardPath, incremental ? `${cache.head}..HEAD` : 'HEAD'))) {
+            files[name] = {
+                created: files[name] ? files[name].created : times.created,
+                modified: times.modified
+            };
+        }
+
+        cache = { version: GIT_TIMES_VERSION, head, files };
+        fs.writeFileSync(cachePath, JSON.stringify(cache));
+    }
+
+    const dirty = git(boardPath, ['status', '--porcelain', '--untracked-files=no', '--', '.flatban'])
+        .split('\n')
+        .filter(line => line.endsWith('.md'))
+        .map(line => path.basename(line.substring(3).split(' -> ').pop()));
+
+    return { files: cache.files, dirty };
+}
+
+/**
+ * Describe a board change as a commit message
+ * action is create, move, reorder, edit, comment, delete, restore, start or finish; details
+ * carries an edit's changes (as written to History) or a comment's author.
+ */
+function describeChange(action, taskId, task, details = {}) {
+    const subject = `${taskId} "${task.title}"`;
+
+    switch (action) {
+        case 'create':
+            return `flatban: create ${subject} in ${task.status}`;
+        case 'move':
+            return `flatban: move ${subject} → ${task.status}`;
+        case 'reorder':
+            return `flatban: reorder ${subject} in ${task.status}`;
+        case 'comment':
+            return `flatban: comment on ${subject} by ${details.author}`;
+        case 'delete':
+            return `flatban: delete ${subject}`;
+        case 'restore':
+            return `flatban: restore ${subject} → ${task.status}`;
+        case 'start':
+            return `flatban: start ${subject} on ${task.branch}`;
+        case 'finish':
+            return `flatban: finish ${subject} → ${task.status}`;
+        default: {
+            // One change fits on the subject line; more go in the body
+            const changes = details.changes || [];
+            if (changes.length === 1) {
+                return `flatban: edit ${subject}: ${changes[0]}`;
+            }
+            return `flatban: edit ${subject}` + (changes.length > 0 ? `\n\n${changes.map(change => `- ${change}`).join('\n')}` : '');
+        }
+    }
+}
+
+/**
+ * Name a task's branch from git.branch_pattern, filling in {id} and {slug}
+ * The slug is the one in the task's file name, so it stays put when the title changes.
+ */
+function taskBranchName(config, boardPath, taskId, task) {
+    const slug = path.basename(task.file, '.md').substring(taskId.length + 1);
+    const name = config.git.branch_pattern.replace(/\{id\}/g, taskId).replace(/\{slug\}/g, slug);
+
+    try {
+        return git(boardPath, ['check-ref-format', '--branch', name]).trim();
+    } catch (err) {
+        throw new Error(`Invalid branch name: ${name}. Check git.branch_pattern in config.yaml`);
+    }
+}
+
+function branchExists(boardPath, branch) {
+    try {
+        git(boardPath, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Check out a branch, creating it from the current commit if it doesn't exist
+ * Returns true when the branch was created.
+ */
+function checkoutBranch(boardPath, branch) {
+    const created = !branchExists(boardPath, branch);
+    git(boardPath, created ? ['checkout', '--quiet', '-b', branch] : ['checkout', '--quiet', branch]);
+    return created;
+}
+
+/**
+ * The branch checked out now, the commit when HEAD is detached, or null before the first commit
+ */
+function currentBranch(boardPath) {
+    try {
+        const branch = git(boardPath, ['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+        return branch === 'HEAD' ? git(boardPath, ['rev-parse', 'HEAD']).trim() : branch;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Go back to the previous checkout after checkoutBranch, deleting branch if
+ * checkoutBranch created it. Failures are only warned about.
+ */
+function undoCheckout(boardPath, previous, branch, created) {
+    if (!previous) return;
+    try {
+        git(boardPath, ['checkout', '--quiet', previous]);
+        if (created) {
+            git(boardPath, ['branch', '--quiet', '-D', branch]);
+        }
+    } catch (err) {
+        console.warn(`Could not switch back to ${previous}: ${err.message.trim()}`);
+    }
+}
+
+/**
+ * Find task references in a commit message
+ * Returns [{ kind, id }] where kind is "closes" (close, fix or resolve) or "refs"
+ * (ref or references) and id is the task ID as written, possibly shortened.
+ */
+function findTaskReferences(message) {
+    const references = [];
+
+    for (const match of message.matchAll(REFERENCE_PATTERN)) {
+        const kind = /^ref/i.test(match[1]) ? 'refs' : 'closes';
+        for (const word of match[2].split(/\s*,\s*|\s+and\s+/)) {
+            const id = word.replace(/^#/, '').toLowerCase();
+            if (id.length >= MIN_REFERENCE_LENGTH) {
+                references.push({ kind, id });
+            }
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Turn git.author ("Name <email>") into git -c options for author and committer
+ */
+function identityArgs(author) {
+    if (!author) return [];
+
+    const match = author.match(/^(.+?)\s*<([^<>]+)>$/);
+    if (!match) {
+        throw new Error(`Invalid git author: ${author}. Use "Name <email>"`);
+    }
+    return ['-c', `user.name=${match[1]}`, '-c', `user.email=${match[2]}`];
+}
+
+function isIgnored(boardPath, file) {
+    try {
+        git(boardPath, ['check-ignore', '--quiet', file]);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Commit the files a board change touched, when git.auto_commit is on
+ * Each task file is staged wherever it now lives (found by name), so moves are
+ * committed as renames and deletes as moves into the trash. index.json goes
+ * along unless git.skip_index is set or it is gitignored. Anything else the
+ * user has staged is left out of the commit. A failed commit only prints a
+ * warning, since the change itself has already been made.
+ * Returns true when a commit was made.
+ */
+function autoCommit(config, boardPath, message, files) {
+    if (!config.git || !config.git.auto_commit) return false;
+
+    try {
+        const pathspecs = [...new Set(files.map(file => `:(glob).flatban/**/${path.basename(file)}`))];
+        if (!config.git.skip_index && fs.existsSync(path.join(boardPath, INDEX_FILE)) && !isIgnored(boardPath, INDEX_FILE)) {
+            pathspecs.push(INDEX_FILE);
+        }
+
+        git(boardPath, ['add', '--all', '--', ...pathspecs]);
+
+        try {
+            git(boardPath, ['diff', '--cached', '--quiet', '--', ...pathspecs]);
+            return false; // Nothing changed since the last commit
+        } catch (err) {
+            // Exit status 1: there are staged changes to commit
+        }
+
+        git(boardPath, [...identityArgs(config.git.author), 'commit', '--quiet', '--message', message, '--', ...pathspecs]);
+        return true;
+    } catch (err) {
+        console.warn(`Could not commit the change to git: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Collect changes made in quick succession into one commit (used by the web server)
+ * add() is called with the current config for every change. With
+ * git.batch_seconds set, the commit is made once that many seconds pass
+ * without another change; otherwise each change is committed straight away.
+ * flush() commits whatever is pending.
+ */
+function createCommitBatcher(boardPath) {
+    let pending = [];
+    let timer = null;
+    let lastConfig = null;
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (pending.length === 0) return;
+
+        const changes = pending;
+        pending = [];
+
+        // Several changes: list each one's subject line in the body
+        const message = changes.length === 1
+            ? changes[0].message
+            : `flatban: ${changes.length} board changes\n\n` + changes
+                .map(change => `- ${change.message.split('\n')[0].replace(/^flatban: /, '')}`)
+                .join('\n');
+
+        autoCommit(lastConfig, boardPath, message, changes.flatMap(change => change.files));
+    }
+
+    function add(config, message, files) {
+        if (!config.git || !config.git.auto_commit) return;
+
+        lastConfig = config;
+        pending.push({ message, files });
+
+        if (!config.git.batch_seconds) {
+            flush();
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(flush, config.git.batch_seconds * 1000);
+    }
+
+    return { add, flush };
+}
+
+module.exports = {
+    GIT_TIMES_FILE,
+    git,
+    loadGitTimes,
+    describeChange,
+    taskBranchName,
+    currentBranch,
+    checkoutBranch,
+    undoCheckout,
+    findTaskReferences,
+    autoCommit,
+    createCommitBatcher
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    slugify,
+    modifyTaskFile,
+    addHistoryEntry,
+    addComment
+} = require('./utils');
+const { createTask, listTrash } = require('./tasks');
+const { setField } = require('./frontmatter');
+
+/**
+ * Importers for boards exported from other tools
+ *
+ * Each source's JSON export is read into the same card shape:
+ *
+ *   { externalId, title, status, description, labels, assignee, comments, due, priority }
+ *
+ * where status is the source's list or status name and comments are
+ * { author, date, text }. Cards are then created as tasks from template.md,
+ * with external_id in the frontmatter so a second import of the same export
+ * skips the cards it already created.
+ */
+
+const IMPORT_SOURCES = {
+    trello: { name: 'Trello', parse: parseTrello },
+    github: { name: 'GitHub', parse: parseGitHub },
+    jira: { name: 'Jira', parse: parseJira }
+};
+
+// Status names that mean the same as a default column, beyond matching its ID or name
+const STATUS_ALIASES = {
+    open: 'todo',
+    'to-do': 'todo',
+    'selected-for-development': 'todo',
+    doing: 'in-progress',
+    'in-review': 'review',
+    closed: 'done',
+    resolved: 'done',
+    complete: 'done',
+    completed: 'done'
+};
+
+function byPos(a, b) {
+    return (a.pos || 0) - (b.pos || 0);
+}
+
+/**
+ * Read a Trello board export (Menu → Print, export and share → Export as JSON)
+ * Archived cards and cards on archived lists are left out. Checklists are
+ * added to the description as checklist items.
+ */
+function parseTrello(data) {
+    if (!Array.isArray(data.cards) || !Array.isArray(data.lists)) {
+        throw new Error('Not a Trello board export: expected "cards" and "lists"');
+    }
+
+    const lists = new Map(data.lists.map(list => [list.id, list]));
+    const members = new Map((data.members || []).map(member => [member.id, member.fullName || member.username]));
+
+    const comments = new Map();
+    for (const action of data.actions || []) {
+        if (action.type !== 'commentCard' || !action.data || !action.data.card) continue;
+        const cardComments = comments.get(action.data.card.id) || [];
+        cardComments.push({
+            author: (action.memberCreator && (action.memberCreator.fullName || action.memberCreator.username)) || 'unknown',
+            date: action.date,
+            text: action.data.text || ''
+        });
+        comments.set(action.data.card.id, cardComments);
+    }
+
+    const checklists = new Map();
+    for (const checklist of (data.checklists || []).slice().sort(byPos)) {
+        const items = (checklist.checkItems || []).slice().sort(byPos)
+            .map(item => `- [${item.state === 'complete' ? 'x' : ' '}] ${item.name}`);
+        const text = `**${checklist.name}**\n\n${items.join('\n')}`;
+        checklists.set(checklist.idCard, [...(checklists.get(checklist.idCard) || []), text]);
+    }
+
+    // Lists in board order, then cards in list order
+    const listOrder = data.lists.slice().sort(byPos).map(list => list.id);
+
+    return data.cards
+        .filter(card => !card.closed && lists.has(card.idList) && !lists.get(card.idList).closed)
+        .sort((a, b) => listOrder.indexOf(a.idList) - listOrder.indexOf(b.idList) || byPos(a, b))
+        .map(card => ({
+            externalId: `trello:${card.shortLink || card.id}`,
+            title: card.name,
+            status: lists.get(card.idList).name,
+            description: [card.desc || '', ...(checklists.get(card.id) || [])].filter(Boolean).join('\n\n'),
+            labels: (card.labels || []).map(label => label.name || label.color).filter(Boolean),
+            assignee: (card.idMembers || []).map(id => members.get(id)).find(Boolean) || '',
+            // Trello lists actions newest first
+            comments: (comments.get(card.id) || []).reverse(),
+            due: card.due ? card.due.substring(0, 10) : '',
+            priority: null
+        }));
+}
+
+/**
+ * Read GitHub issues, as saved by "gh issue list --json ..." or the REST API
+ * The status is the issue's state, open or closed. Pull requests in REST
+ * results are left out.
+ */
+function parseGitHub(data) {
+    const issues = Array.isArray(data) ? data : data.items;
+    if (!Array.isArray(issues)) {
+        throw new Error('Not a GitHub issues export: expected a list of issues');
+    }
+
+    return issues
+        .filter(issue => !issue.pull_request)
+        .map(issue => {
+            const url = issue.url && issue.url.includes('github.com/') ? issue.url : issue.html_url || '';
+            const repo = url.match(/github\.com\/(?:repos\/)?([^/]+\/[^/]+)\/issues\//);
+            const assignees = issue.assignees || (issue.assignee ? [issue.assignee] : []);
+
+            return {
+                externalId: `github:${repo ? repo[1] : ''}#${issue.number}`,
+                title: issue.title,
+                status: (issue.state || 'open').toLowerCase(),
+                description: issue.body || '',
+                labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean),
+                assignee: assignees.length > 0 ? assignees[0].login : '',
+                // The REST API only gives a comment count; gh --json comments gives the comments
+                comments: Array.isArray(issue.comments) ? issue.comments.map(comment => ({
+                    author: ((comment.author || comment.user) || {}).login || 'unknown',
+                    date: comment.createdAt || comment.created_at,
+                    text: comment.body || ''
+                })) : [],
+                due: issue.milestone && (issue.milestone.dueOn || issue.milestone.due_on)
+                    ? (issue.milestone.dueOn || issue.milestone.due_on).substring(0, 10)
+                    : '',
+                priority: null
+            };
+        });
+}
+
+/**
+ * Flatten a Jira rich-text (Atlassian Document Format) value to markdown-ish text
+ * Plain strings, as returned by older Jira versions, are passed through.
+ */
+function jiraText(node) {
+    if (!node) return '';
+    if (typeof node === 'string') return node;
+    if (node.type === 'text') return node.text || '';
+    if (node.type === 'hardBreak') return '\n';
+
+    const inner = (node.content || []).map(jiraText).join('');
+    if (node.type === 'listItem') return `- ${inner.trim()}\n`;
+    if (['paragraph', 'heading', 'codeBlock', 'blockquote', 'bulletList', 'orderedList'].includes(node.type)) {
+        return `${inner.trim()}\n\n`;
+    }
+    return node.type === 'doc' ? inner.replace(/\n{3,}/g, '\n\n').trim() : inner;
+}
+
+/**
+ * Read Jira issues as returned by the search API ({ "issues": [...] }) or a list of issues
+ */
+function parseJira(data) {
+    const issues = Array.isArray(data) ? data : data.issues;
+    if (!Array.isArray(issues)) {
+        throw new Error('Not a Jira export: expected "issues"');
+    }
+
+    return issues.map(issue => {
+        const fields = issue.fields || {};
+        return {
+            externalId: `jira:${issue.key}`,
+            title: fields.summary,
+            status: fields.status ? fields.status.name : '',
+            description: jiraText(fields.description).trim(),
+            labels: fields.labels || [],
+            assignee: fields.assignee ? fields.assignee.displayName || fields.assignee.name || '' : '',
+            comments: ((fields.comment && fields.comment.comments) || []).map(comment => ({
+                author: comment.author ? comment.author.displayName || comment.author.name : 'unknown',
+                date: comment.created,
+                text: jiraText(comment.body).trim()
+            })),
+            due: fields.duedate || '',
+            priority: fields.priority ? fields.priority.name : null
+        };
+    });
+}
+
+/**
+ * Read an export into cards
+ */
+function parseExport(source, data) {
+    if (!IMPORT_SOURCES[source]) {
+        throw new Error(`Invalid source: ${source}. Valid sources: ${Object.keys(IMPORT_SOURCES).join(', ')}`);
+    }
+    return IMPORT_SOURCES[source].parse(data);
+}
+
+/**
+ * Guess the column for a source status from the column IDs and names, or null
+ */
+function suggestColumn(config, status) {
+    const slug = slugify(status);
+    const columns = config.columns.map(c => c.id);
+
+    const column = config.columns.find(c => c.id === slug || c.name.toLowerCase() === status.trim().toLowerCase());
+    if (column) return column.id;
+
+    const alias = STATUS_ALIASES[slug];
+    if (alias === 'done') return columns[columns.length - 1];
+    return alias && columns.includes(alias) ? alias : null;
+}
+
+/**
+ * Match a source priority to a configured one: by name, with Jira's highest
+ * and lowest going to the ends of the list; anything else is medium
+ */
+function mapPriority(config, priority) {
+    const name = (priority || '').toLowerCase();
+    if (config.priorities.includes(name)) return name;
+    if (name === 'highest' || name === 'blocker') return config.priorities[config.priorities.length - 1];
+    if (name === 'lowest' || name === 'trivial') return config.priorities[0];
+    return config.priorities.includes('medium') ? 'medium' : config.priorities[0];
+}
+
+/**
+ * Format a source timestamp the way History and Comments write theirs (UTC, to the minute)
+ */
+function formatDatetime(date) {
+    const parsed = new Date(date);
+    return isNaN(parsed) ? null : parsed.toISOString().replace('T', ' ').substring(0, 16);
+}
+
+/**
+ * Create tasks for cards
+ * columns maps each status to a column ID, or to null to leave its cards out.
+ * Cards whose external ID is already on the board or in the trash are skipped,
+ * as are cards that can't be created (they are returned in failed with the
+ * reason). WIP limits are not enforced. The caller is responsible for saving
+ * the index.
+ * Returns { created: [{ taskId, task }], duplicates, excluded, failed: [{ card, error }], files }.
+ */
+function importCards(config, index, cards, columns, sourceName, boardPath) {
+    const existing = new Set([
+        ...Object.values(index.tasks).map(task => task.external_id),
+        ...listTrash(boardPath).map(entry => entry.external_id)
+    ].filter(Boolean));
+
+    const result = { created: [], duplicates: 0, excluded: 0, failed: [], files: [] };
+
+    for (const card of cards) {
+        if (existing.has(card.externalId)) {
+            result.duplicates++;
+            continue;
+        }
+        if (!columns[card.status]) {
+            result.excluded++;
+            continue;
+        }
+
+        let created;
+        try {
+            created = createTask(config, index, {
+                title: (card.title || '').trim(),
+                column: columns[card.status],
+                priority: mapPriority(config, card.priority),
+                // Tags are single words
+                tags: [...new Set(card.labels.map(label => label.trim().replace(/[\s,]+/g, '-')).filter(Boolean))],
+                assigned: card.assignee,
+                description: card.description.trim(),
+                due: card.due || undefined
+            }, boardPath, { force: true });
+        } catch (err) {
+            result.failed.push({ card, error: err.message });
+            continue;
+        }
+
+        const { taskId, task, ranked } = created;
+        modifyTaskFile(path.join(boardPath, task.file), doc => {
+            setField(doc, 'external_id', card.externalId);
+            for (const comment of card.comments) {
+                if (comment.text.trim()) {
+                    addComment(doc, comment.author, comment.text, null, formatDatetime(comment.date));
+                }
+            }
+            addHistoryEntry(doc, `Imported from ${sourceName} (${card.externalId})`);
+        });
+        task.external_id = card.externalId;
+        task.modified = fs.statSync(path.join(boardPath, task.file)).mtime.toISOString();
+
+        existing.add(card.externalId);
+        result.created.push({ taskId, task });
+        result.files.push(task.file, ...ranked.map(id => index.tasks[id].file));
+    }
+
+    return result;
+}
+
+module.exports = {
+    IMPORT_SOURCES,
+    parseExport,
+    suggestColumn,
+    importCards
+};
@@ -0,0 +1,410 @@
+const { formatLocalDate } = require('./utils');
+
+/**
+ * Query language for filtering and sorting tasks (list --where, board --where, web ?q=)
+ *
+ *   priority>=high and (tag:backend or tag:api) and not assigned:alice and modified<7d
+ *
+ * Terms are field/operator/value triples joined with and, or, not and parentheses;
+ * terms next to each other are ANDed. Operators are : (or =), !=, <, <=, > and >=.
+ * Priorities, columns and enum fields compare in their configured order. Date
+ * fields take YYYY-MM-DD, today, yesterday, tomorrow or +3d / -2w (a day relative
+ * to today); a bare duration such as 7d, 12h, 2w or 3m compares the age instead,
+ * so modified<7d means "modified in the last 7 days". field:none matches tasks
+ * where the field is empty.
+ */
+
+const OPERATORS = [':', '=', '!=', '<', '<=', '>', '>='];
+const ORDER_OPERATORS = ['<', '<=', '>', '>='];
+
+const DURATION_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000, m: 30 * 86400000 };
+
+const FIELD_ALIASES = Object.assign(Object.create(null), { status: 'column', tags: 'tag' });
+
+/**
+ * Describe the fields a query can use: built-ins plus custom fields from config
+ * Each field has a kind (text, id, order, list, name, number, date, timestamp)
+ * and a getter that reads its value from an index entry.
+ */
+function getQueryFields(config) {
+    // No prototype, so a custom field can't be named after Object.prototype members
+    const fields = Object.assign(Object.create(null), {
+        id: { kind: 'id', get: (id) => id },
+        title: { kind: 'text', get: (id, task) => task.title },
+        column: { kind: 'order', order: config.columns.map(c => c.id), get: (id, task) => task.status },
+        priority: { kind: 'order', order: config.priorities, get: (id, task) => task.priority },
+        tag: { kind: 'list', get: (id, task) => task.tags || [] },
+        assigned: { kind: 'name', get: (id, task) => task.assigned },
+        created: { kind: 'timestamp', get: (id, task) => task.created },
+        modified: { kind: 'timestamp', get: (id, task) => task.modified },
+        due: { kind: 'date', get: (id, task) => task.due },
+        rank: { kind: 'name', get: (id, task) => task.rank }
+    });
+
+    const kinds = { string: 'name', number: 'number', date: 'date', list: 'list', enum: 'order' };
+    for (const field of config.fields || []) {
+        if (Object.prototype.hasOwnProperty.call(fields, field.id)) continue;
+        fields[field.id] = {
+            kind: kinds[field.type] || 'name',
+            order: field.options,
+            get: (id, task) => (task.fields || {})[field.id]
+        };
+    }
+
+    return fields;
+}
+
+/**
+ * Look up a field by name; null for unknown names, including Object.prototype
+ * members such as "constructor"
+ */
+function findField(fields, name) {
+    return Object.prototype.hasOwnProperty.call(fields, name) ? fields[name] : null;
+}
+
+/**
+ * Split a query into tokens: parentheses, operators, quoted strings and words
+ */
+function tokenizeQuery(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, pos: i });
+            i++;
+        } else if (/[:=!<>]/.test(ch)) {
+            const two = text.substring(i, i + 2);
+            const op = ['!=', '<=', '>='].includes(two) ? two : ch;
+            if (!OPERATORS.includes(op)) {
+                throw new Error(`Invalid query: unexpected "${ch}" at position ${i + 1}`);
+            }
+            tokens.push({ type: 'op', value: op, pos: i });
+            i += op.length;
+        } else if (ch === '"' || ch === "'") {
+            const end = text.indexOf(ch, i + 1);
+            if (end === -1) {
+                throw new Error(`Invalid query: unterminated quote at position ${i + 1}`);
+            }
+            tokens.push({ type: 'word', value: text.substring(i + 1, end), quoted: true, pos: i });
+            i = end + 1;
+        } else {
+            const match = text.substring(i).match(/^[^\s()"':=!<>]+/);
+            tokens.push({ type: 'word', value: match[0], pos: i });
+            i += match[0].length;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a query into a tree of and/or/not/term nodes
+ */
+function parseQuery(text) {
+    const tokens = tokenizeQuery(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isKeyword = (token, keyword) => token && token.type === 'word' && !token.quoted && token.value.toLowerCase() === keyword;
+    const describe = (token) => (token ? `"${token.value || token.type}" at position ${token.pos + 1}` : 'end of query');
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isKeyword(peek(), 'or')) {
+            pos++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseNot();
+        while (peek() && peek().type !== ')' && !isKeyword(peek(), 'or')) {
+            if (isKeyword(peek(), 'and')) pos++;
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+
+    function parseNot() {
+        if (isKeyword(peek(), 'not')) {
+            pos++;
+            return { type: 'not', expr: parseNot() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (token && token.type === '(') {
+            pos++;
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw new Error(`Invalid query: expected ")" but found ${describe(peek())}`);
+            }
+            pos++;
+            return node;
+        }
+
+        const field = tokens[pos];
+        const op = tokens[pos + 1];
+        const value = tokens[pos + 2];
+
+        if (!field || field.type !== 'word' || field.quoted) {
+            throw new Error(`Invalid query: expected a field name but found ${describe(field)}`);
+        }
+        if (!op || op.type !== 'op') {
+            throw new Error(`Invalid query: expected an operator after "${field.value}" (e.g. ${field.value}:value)`);
+        }
+        if (!value || value.type !== 'word') {
+            throw new Error(`Invalid query: expected a value after "${field.value}${op.value}"`);
+        }
+
+        pos += 3;
+        return { type: 'term', field: field.value.toLowerCase(), op: op.value, value: value.value };
+    }
+
+    if (tokens.length === 0) {
+        throw new Error('Invalid query: query is empty');
+    }
+
+    const tree = parseOr();
+    if (pos < tokens.length) {
+        throw new Error(`Invalid query: unexpected ${describe(peek())}`);
+    }
+    return tree;
+}
+
+/**
+ * Parse a date value into { day } (a YYYY-MM-DD day) or { age } (a duration in ms)
+ */
+function parseDateValue(value, now) {
+    const text = value.toLowerCase();
+
+    const duration = text.match(/^(\d+)([hdwm])$/);
+    if (duration) {
+        return { age: parseInt(duration[1], 10) * DURATION_UNITS[duration[2]] };
+    }
+
+    const relative = text.match(/^([+-])(\d+)([dwm])$/);
+    const named = { today: 0, yesterday: -1, tomorrow: 1 };
+    if (relative || named[text] !== undefined) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (relative) {
+            const amount = parseInt(relative[2], 10) * (relative[1] === '-' ? -1 : 1);
+            if (relative[3] === 'm') {
+                date.setMonth(date.getMonth() + amount);
+            } else {
+                date.setDate(date.getDate() + amount * (relative[3] === 'w' ? 7 : 1));
+            }
+        } else {
+            date.setDate(date.getDate() + named[text]);
+        }
+        return { day: formatLocalDate(date) };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(new Date(text).getTime())) {
+        return { day: text };
+    }
+
+    throw new Error(`Invalid query: "${value}" is not a date (use YYYY-MM-DD, today, +3d, -2w or a duration like 7d)`);
+}
+
+function compare(a, op, b) {
+    switch (op) {
+        case ':':
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Turn one field/operator/value term into a predicate (id, task) => boolean
+ */
+function compileTerm(term, fields, now) {
+    const name = FIELD_ALIASES[term.field] || term.field;
+    const field = findField(fields, name);
+    const { op, value } = term;
+
+    if (!field) {
+        throw new Error(`Invalid query: unknown field "${term.field}". Fields: ${Object.keys(fields).join(', ')}`);
+    }
+
+    // field:none / field!=none test for an empty field
+    if (value.toLowerCase() === 'none' && [':', '=', '!='].includes(op)) {
+        return (id, task) => isEmpty(field.get(id, task)) === (op !== '!=');
+    }
+
+    const ordered = ['order', 'number', 'date', 'timestamp'].includes(field.kind);
+    if (ORDER_OPERATORS.includes(op) && !ordered) {
+        throw new Error(`Invalid query: ${name} cannot be compared with ${op}`);
+    }
+
+    const negate = op === '!=';
+    const lower = value.toLowerCase();
+
+    switch (field.kind) {
+        case 'id':
+            return (id) => id.startsWith(lower) !== negate;
+
+        case 'text':
+            return (id, task) => (field.get(id, task) || '').toLowerCase().includes(lower) !== negate;
+
+        case 'name':
+            return (id, task) => (String(field.get(id, task) || '').toLowerCase() === lower) !== negate;
+
+        case 'list':
+            return (id, task) => {
+                const items = field.get(id, task) || [];
+                return items.some(item => String(item).toLowerCase() === lower) !== negate;
+            };
+
+        case 'order': {
+            const rank = field.order.indexOf(value);
+            if (rank === -1) {
+                throw new Error(`Invalid query: "${value}" is not a valid ${name}. Valid values: ${field.order.join(', ')}`);
+            }
+            return (id, task) => {
+                const taskRank = field.order.indexOf(field.get(id, task));
+                return taskRank !== -1 && compare(taskRank, op, rank);
+            };
+        }
+
+        case 'number': {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                throw new Error(`Invalid query: ${name} must be compared with a number (got "${value}")`);
+            }
+            return (id, task) => {
+                const taskValue = field.get(id, task);
+                return typeof taskValue === 'number' && compare(taskValue, op, number);
+            };
+        }
+
+        case 'date':
+        case 'timestamp': {
+            const date = parseDateValue(value, now);
+            const toDay = field.kind === 'timestamp'
+                ? (taskValue) => formatLocalDate(new Date(taskValue))
+                : (taskValue) => taskValue;
+
+            if (date.age !== undefined) {
+                if (!ORDER_OPERATORS.includes(op)) {
+                    throw new Error(`Invalid query: use < or > with a duration (e.g. ${name}<${value})`);
+                }
+                const toTime = field.kind === 'timestamp'
+                    ? (taskValue) => new Date(taskValue).getTime()
+                    : (taskValue) => new Date(`${taskValue}T00:00:00`).getTime();
+
+                return (id, task) => {
+                    const taskValue = field.get(id, task);
+                    return !isEmpty(taskValue) && compare(now.getTime() - toTime(taskValue), op, date.age);
+                };
+            }
+
+            return (id, task) => {
+                const taskValue = field.get(id, task);
+                return !isEmpty(taskValue) && compare(toDay(taskValue), op, date.day);
+            };
+        }
+    }
+}
+
+function compileNode(node, fields, now) {
+    switch (node.type) {
+        case 'and': {
+            const left = compileNode(node.left, fields, now);
+            const right = compileNode(node.right, fields, now);
+            return (id, task) => left(id, task) && right(id, task);
+        }
+        case 'or': {
+            const left = compileNode(node.left, fields, now);
+            const right = compileNode(node.right, fields, now);
+            return (id, task) => left(id, task) || right(id, task);
+        }
+        case 'not': {
+            const expr = compileNode(node.expr, fields, now);
+            return (id, task) => !expr(id, task);
+        }
+        case 'term':
+            return compileTerm(node, fields, now);
+    }
+}
+
+/**
+ * Compile a query into a predicate (id, task) => boolean over index entries
+ * Throws an Error describing the problem when the query is invalid.
+ */
+function compileQuery(text, config, now = new Date()) {
+    return compileNode(parseQuery(text), getQueryFields(config), now);
+}
+
+/**
+ * Compile a sort spec such as "priority,-modified" into a comparator over
+ * [id, task] entries. A leading - sorts that key descending. Tasks missing a
+ * value sort last whichever the direction.
+ */
+function compileSort(spec, config) {
+    const fields = getQueryFields(config);
+
+    const keys = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const descending = part.startsWith('-');
+        const name = part.replace(/^[-+]/, '').toLowerCase();
+        const field = findField(fields, FIELD_ALIASES[name] || name);
+
+        if (!field) {
+            throw new Error(`Invalid sort key: "${name}". Keys: ${Object.keys(fields).join(', ')}`);
+        }
+
+        const sortValue = (id, task) => {
+            const value = field.get(id, task);
+            if (isEmpty(value)) return null;
+            if (field.kind === 'order') {
+                const rank = field.order.indexOf(value);
+                return rank === -1 ? null : rank;
+            }
+            if (field.kind === 'timestamp') return new Date(value).getTime();
+            if (field.kind === 'list') return value.join(',').toLowerCase();
+            return typeof value === 'string' ? value.toLowerCase() : value;
+        };
+
+        return { sortValue, direction: descending ? -1 : 1 };
+    });
+
+    if (keys.length === 0) {
+        throw new Error('Invalid sort: no sort keys given');
+    }
+
+    return ([idA, a], [idB, b]) => {
+        for (const { sortValue, direction } of keys) {
+            const valueA = sortValue(idA, a);
+            const valueB = sortValue(idB, b);
+
+            if (valueA === valueB) continue;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return (valueA < valueB ? -1 : 1) * direction;
+        }
+        return 0;
+    };
+}
+
+module.exports = {
+    parseQuery,
+    compileQuery,
+    compileSort
+};
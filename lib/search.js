@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, ignoreBoardFile } = require('./utils');
+
+/**
+ * Full-text search over task titles and bodies
+ *
+ * An inverted index (term -> task -> weighted count) is kept in
+ * .flatban/search-index.json beside index.json, and listed in .flatban/.gitignore.
+ * It is refreshed lazily: each search re-indexes only task files whose mtime
+ * changed since they were last indexed, so large boards are not re-read on
+ * every query.
+ */
+
+const SEARCH_INDEX_FILE = 'search-index.json';
+// Version 2 indexes words like "constructor" that version 1 dropped
+const SEARCH_INDEX_VERSION = 2;
+
+// A title hit is worth this many body hits
+const TITLE_WEIGHT = 5;
+
+const SNIPPET_LENGTH = 100;
+
+/**
+ * Split text into lowercase search terms
+ */
+function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function getSearchIndexPath(boardPath) {
+    return path.join(boardPath, '.flatban', SEARCH_INDEX_FILE);
+}
+
+// Maps keyed by words from task text must not see Object.prototype ("constructor")
+function createMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+function emptySearchIndex() {
+    return { version: SEARCH_INDEX_VERSION, docs: createMap(), terms: createMap() };
+}
+
+/**
+ * Count weighted term occurrences for one task
+ */
+function countTerms(title, body) {
+    const counts = createMap();
+    for (const term of tokenize(title)) {
+        counts[term] = (counts[term] || 0) + TITLE_WEIGHT;
+    }
+    for (const term of tokenize(body)) {
+        counts[term] = (counts[term] || 0) + 1;
+    }
+    return counts;
+}
+
+function removeDoc(searchIndex, taskId) {
+    const doc = searchIndex.docs[taskId];
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+        const postings = searchIndex.terms[term];
+        if (!postings) continue;
+        delete postings[taskId];
+        if (Object.keys(postings).length === 0) {
+            delete searchIndex.terms[term];
+        }
+    }
+    delete searchIndex.docs[taskId];
+}
+
+/**
+ * Load the search index and bring it up to date with the task index
+ * Tasks that were added, removed, moved or edited since the last search are
+ * re-indexed and the file is rewritten; otherwise it is used as is.
+ */
+function loadSearchIndex(index, boardPath = '.') {
+    const indexPath = getSearchIndexPath(boardPath);
+
+    let searchIndex = emptySearchIndex();
+    if (fs.existsSync(indexPath)) {
+        try {
+            const loaded = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            if (loaded.version === SEARCH_INDEX_VERSION) {
+                searchIndex = emptySearchIndex();
+                Object.assign(searchIndex.docs, loaded.docs);
+                for (const [term, postings] of Object.entries(loaded.terms)) {
+                    searchIndex.terms[term] = createMap(postings);
+                }
+            }
+        } catch (err) {
+            // Corrupt search index; rebuild it from scratch
+        }
+    }
+
+    let changed = false;
+
+    for (const taskId of Object.keys(searchIndex.docs)) {
+        if (!index.tasks[taskId]) {
+            removeDoc(searchIndex, taskId);
+            changed = true;
+        }
+    }
+
+    for (const [taskId, task] of Object.entries(index.tasks)) {
+        const taskFile = path.join(boardPath, task.file);
+        let mtime;
+        try {
+            mtime = fs.statSync(taskFile).mtime.toISOString();
+        } catch (err) {
+            continue;
+        }
+
+        const doc = searchIndex.docs[taskId];
+        if (doc && doc.file === task.file && doc.mtime === mtime) continue;
+
+        removeDoc(searchIndex, taskId);
+
+        const { frontmatter, body } = parseFrontmatter(fs.readFileSync(taskFile, 'utf8'));
+        const counts = countTerms(frontmatter.title || task.title, body);
+
+        for (const [term, count] of Object.entries(counts)) {
+            if (!searchIndex.terms[term]) {
+                searchIndex.terms[term] = createMap();
+            }
+            searchIndex.terms[term][taskId] = count;
+        }
+        searchIndex.docs[taskId] = { file: task.file, mtime, terms: Object.keys(counts) };
+        changed = true;
+    }
+
+    if (changed) {
+        ignoreBoardFile(boardPath, SEARCH_INDEX_FILE);
+        fs.writeFileSync(indexPath, JSON.stringify(searchIndex));
+    }
+
+    return searchIndex;
+}
+
+/**
+ * Search tasks for every word in query (each word also matches as a prefix)
+ * Results are ranked by TF-IDF, with a bonus when the whole query appears as a
+ * phrase. Each result carries a snippet of the body around the first match.
+ * Returns [{ id, task, score, snippet: { text, highlights: [[start, end], ...] } }].
+ */
+function searchTasks(index, query, boardPath = '.', options = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const searchIndex = loadSearchIndex(index, boardPath);
+    const allTerms = Object.keys(searchIndex.terms);
+    const docCount = Object.keys(searchIndex.docs).length;
+
+    // Score each task per query term; a task must match every term
+    let scores = null;
+    for (const queryTerm of queryTerms) {
+        const termScores = createMap();
+        for (const term of allTerms) {
+            if (!term.startsWith(queryTerm)) continue;
+
+            const postings = searchIndex.terms[term];
+            const idf = Math.log(1 + docCount / Object.keys(postings).length);
+            // Exact word matches outrank prefix matches
+            const exactness = term === queryTerm ? 1 : 0.5;
+
+            for (const [taskId, count] of Object.entries(postings)) {
+                termScores[taskId] = (termScores[taskId] || 0) + count * idf * exactness;
+            }
+        }
+
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            for (const taskId of Object.keys(scores)) {
+                if (termScores[taskId] === undefined) {
+                    delete scores[taskId];
+                } else {
+                    scores[taskId] += termScores[taskId];
+                }
+            }
+        }
+    }
+
+    const phrase = queryTerms.length > 1 ? tokenize(query).join(' ') : null;
+
+    const results = Object.entries(scores)
+        .filter(([taskId]) => index.tasks[taskId])
+        .map(([taskId, score]) => {
+            const task = index.tasks[taskId];
+            let body = '';
+            try {
+                body = parseFrontmatter(fs.readFileSync(path.join(boardPath, task.file), 'utf8')).body;
+            } catch (err) {
+                // Removed since the search index was refreshed; rank on the index alone
+            }
+
+            if (phrase && tokenize(`${task.title} ${body}`).join(' ').includes(phrase)) {
+                score *= 2;
+            }
+
+            return { id: taskId, task, score, snippet: makeSnippet(body, queryTerms) };
+        });
+
+    results.sort((a, b) => b.score - a.score || new Date(b.task.modified) - new Date(a.task.modified));
+
+    return options.limit ? results.slice(0, options.limit) : results;
+}
+
+/**
+ * Find [start, end] ranges of words in text that start with any of the terms
+ */
+function findHighlights(text, terms) {
+    const highlights = [];
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+
+    while ((match = wordPattern.exec(text)) !== null) {
+        const word = match[0].toLowerCase();
+        if (terms.some(term => word.startsWith(term))) {
+            highlights.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    return highlights;
+}
+
+/**
+ * Cut a short window of the body around the first match
+ * Section headings are dropped and list markers flattened to plain text first.
+ */
+function makeSnippet(body, terms) {
+    const text = body
+        .split('\n')
+        .filter(line => !/^#+\s/.test(line))
+        .map(line => line.replace(/^\s*([-*+]|\d+[.)])\s+/, '').trim())
+        .filter(Boolean)
+        .join(' · ');
+
+    const highlights = findHighlights(text, terms);
+    if (highlights.length === 0) {
+        return { text: '', highlights: [] };
+    }
+
+    let start = Math.max(0, highlights[0][0] - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    // Don't cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < highlights[0][0]) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > start) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+        text: prefix + text.substring(start, end) + suffix,
+        highlights: highlights
+            .filter(([s, e]) => s >= start && e <= end)
+            .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length])
+    };
+}
+
+/**
+ * Render a snippet with each highlight wrapped in open/close markers
+ * escape is applied to the text between markers (e.g. HTML escaping).
+ */
+function highlightSnippet(snippet, open, close, escape = text => text) {
+    let result = '';
+    let pos = 0;
+
+    for (const [start, end] of snippet.highlights) {
+        result += escape(snippet.text.substring(pos, start)) + open + escape(snippet.text.substring(start, end)) + close;
+        pos = end;
+    }
+
+    return result + escape(snippet.text.substring(pos));
+}
+
+module.exports = {
+    SEARCH_INDEX_FILE,
+    tokenize,
+    loadSearchIndex,
+    searchTasks,
+    findHighlights,
+    highlightSnippet
+};
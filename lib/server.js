@@ -1,8 +1,35 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { marked } = require('marked');
-const { loadConfig, loadIndex, saveIndex, parseFrontmatter, findTaskByPartialId, appendToHistory } = require('./utils');
+const { Marked } = require('marked');
+const {
+    loadConfig,
+    loadIndex,
+    saveIndex,
+    parseFrontmatter,
+    findTaskByPartialId,
+    buildIndexEntry,
+    countTasksInColumn,
+    formatLocalDate,
+    isOverdue,
+    getOpenBlockers,
+    matchesFieldFilter,
+    formatFieldValue,
+    formatChecklistProgress,
+    findCommentThreads,
+    parseBodySections,
+    compareTasksByRank,
+    LANE_FIELDS,
+    parseLanesOption,
+    groupTasksIntoLanes
+} = require('./utils');
+const { createTask, updateTask, checkMoveAllowed, moveTask, setLaneValue, toggleChecklistItem, commentOnTask, trashTask } = require('./tasks');
+const { tokenize, searchTasks, findHighlights, highlightSnippet } = require('./search');
+const { compileQuery } = require('./query');
+const { taskRecord } = require('./format');
+const { WEBHOOK_LOG_FILE, sendWebhooks } = require('./webhooks');
+const { GIT_TIMES_FILE, loadGitTimes, describeChange, createCommitBatcher } = require('./git');
 
 // Track SSE clients
 const sseClients = [];
@@ -18,7 +45,216 @@ function broadcastUpdate(data) {
     });
 }
 
-function createServer(boardPath, port) {
+// Status codes for the error codes thrown by the task operations and the API
+const API_ERROR_STATUS = {
+    INVALID: 400,
+    AMBIGUOUS: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    READONLY: 403,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    WIP_LIMIT: 409,
+    BLOCKED: 409,
+    CONFLICT: 409
+};
+
+// Webhook event sent for each broadcast action; reorders within a column are not sent
+const WEBHOOK_EVENT_FOR_ACTION = {
+    create: 'create',
+    move: 'move',
+    delete: 'delete',
+    edit: 'edit',
+    lane: 'edit',
+    checklist: 'edit',
+    comment: 'edit'
+};
+
+// Broadcast actions described as edits in auto-commit messages
+const COMMIT_ACTION_FOR_ACTION = {
+    lane: 'edit',
+    checklist: 'edit'
+};
+
+// Keys PATCH /api/tasks/:id understands; anything else is refused rather than dropped
+const PATCH_KEYS = ['title', 'priority', 'tags', 'assigned', 'description', 'notes', 'due', 'fields', 'column', 'status',
+    'baseModified', 'force'];
+
+function apiError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Map an error to { status, code, message } for an API response
+ * Validation failures in the task operations are plain Errors without a code,
+ * so those are bad requests; anything else unexpected is an internal error.
+ */
+function apiErrorResponse(err) {
+    if (API_ERROR_STATUS[err.code]) {
+        return { status: API_ERROR_STATUS[err.code], code: err.code, message: err.message };
+    }
+    if (err.constructor === Error && !err.code) {
+        return { status: 400, code: 'INVALID', message: err.message };
+    }
+    return { status: 500, code: 'INTERNAL', message: err.message };
+}
+
+/**
+ * Find the route for a request
+ * Returns { handler, params }, { allow } when only the method is wrong, or null.
+ */
+function matchRoute(routes, method, pathname) {
+    const segments = pathname.split('/');
+    const allow = [];
+
+    for (const [routeMethod, routePath, handler] of routes) {
+        const routeSegments = routePath.split('/');
+        if (routeSegments.length !== segments.length) continue;
+
+        const params = {};
+        const matches = routeSegments.every((segment, i) => {
+            if (segment.startsWith(':')) {
+                params[segment.substring(1)] = decodeURIComponent(segments[i]);
+                return segments[i] !== '';
+            }
+            return segment === segments[i];
+        });
+        if (!matches) continue;
+
+        if (routeMethod === method) {
+            return { handler, params };
+        }
+        allow.push(routeMethod);
+    }
+
+    return allow.length > 0 ? { allow } : null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a JSON request body; an empty body is {}
+ */
+async function readJsonBody(req) {
+    const body = await readBody(req);
+    if (!body.trim()) {
+        return {};
+    }
+
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (err) {
+        throw apiError('INVALID', `Invalid JSON body: ${err.message}`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw apiError('INVALID', 'Request body must be a JSON object');
+    }
+    return data;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// Cookie that keeps a browser logged in to a server started with a token
+const TOKEN_COOKIE = 'flatban_token';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+function isLoopbackHost(host) {
+    return LOOPBACK_HOSTS.includes(host);
+}
+
+/**
+ * The address to open the board at; with a token, the link logs the browser in
+ */
+function boardUrl(host, port, token = null) {
+    const shownHost = isLoopbackHost(host) || host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+    const hostPart = shownHost.includes(':') ? `[${shownHost}]` : shownHost;
+    return `http://${hostPart}:${port}/${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const eq = pair.indexOf('=');
+        if (eq === -1) continue;
+        try {
+            cookies[pair.substring(0, eq).trim()] = decodeURIComponent(pair.substring(eq + 1).trim());
+        } catch (err) {
+            // Ignore cookies we didn't set
+        }
+    }
+    return cookies;
+}
+
+function tokensMatch(given, token) {
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether a request carries the token, as a bearer token (scripts) or the login cookie (browsers)
+ */
+function isAuthorized(req, token) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ') && tokensMatch(header.substring(7).trim(), token)) {
+        return true;
+    }
+    const cookie = parseCookies(req)[TOKEN_COOKIE];
+    return cookie !== undefined && tokensMatch(cookie, token);
+}
+
+/**
+ * Browsers send Origin with cross-site requests; writes from other sites are refused
+ * Requests without an Origin (curl, scripts) are not browser cross-site requests.
+ */
+function isSameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Whether the Host header names this server: a loopback name or the address it listens on
+ * Without a token this is what stops DNS rebinding, where a page on another
+ * site points its own name at 127.0.0.1 and so looks same-origin.
+ */
+function isAllowedHost(req, host, port) {
+    const given = (req.headers.host || '').toLowerCase();
+    return [...LOOPBACK_HOSTS, host].some(name => {
+        const hostPart = name.includes(':') ? `[${name}]` : name.toLowerCase();
+        return given === `${hostPart}:${port}` || (Number(port) === 80 && given === hostPart);
+    });
+}
+
+/**
+ * Start the web viewer
+ * options.host is the address to listen on (default 127.0.0.1). With
+ * options.token, every request must carry the token (see isAuthorized), and
+ * options.readonly refuses all changes.
+ */
+function createServer(boardPath, port, options = {}) {
+    const { host = '127.0.0.1', token = null, readonly = false } = options;
+
     // Watch .flatban directory for changes (CLI commands)
     const watchPath = path.join(boardPath, '.flatban');
     let watchDebounce = null;
@@ -26,8 +262,8 @@ function createServer(boardPath, port) {
 
     try {
         fs.watch(watchPath, { recursive: true }, (eventType, filename) => {
-            // Ignore index.json changes (we cause those)
-            if (filename && filename.includes('index.json')) {
+            // Ignore index.json and git-times.json changes (we cause those) and the webhook delivery log
+            if (filename && ['index.json', GIT_TIMES_FILE, WEBHOOK_LOG_FILE].some(name => filename.includes(name))) {
                 return;
             }
 
@@ -53,216 +289,598 @@ function createServer(boardPath, port) {
         console.warn('Could not watch .flatban directory:', err.message);
     }
 
-    const server = http.createServer((req, res) => {
-        // Handle SSE endpoint for real-time updates
-        if (req.method === 'GET' && req.url === '/api/events') {
-            res.writeHead(200, {
-                'Content-Type': 'text/event-stream',
-                'Cache-Control': 'no-cache',
-                'Connection': 'keep-alive'
-            });
+    // Load the board, rebuilding the index first if task files changed behind its back
+    function loadBoard() {
+        const config = loadConfig(boardPath);
+        let index = loadIndex(boardPath);
 
-            // Send initial connection message
-            res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+        if (checkIfSyncNeeded(index, config, boardPath)) {
+            index = rebuildIndex(config, boardPath);
+        }
 
-            // Add client to list
-            sseClients.push(res);
+        return { config, index };
+    }
 
-            // Remove client when connection closes
-            req.on('close', () => {
-                const index = sseClients.indexOf(res);
-                if (index !== -1) {
-                    sseClients.splice(index, 1);
-                }
-            });
+    // Web changes are committed to git when auto-commit is on, batched per git.batch_seconds
+    const commits = createCommitBatcher(boardPath);
+    process.on('exit', () => commits.flush());
+
+    // Tell other browsers, the configured webhooks and auto-commit about a change made through the API
+    // options.task replaces the index entry (deletes pass the entry they removed), and
+    // options.ranked lists other tasks whose files were ranked along the way.
+    function broadcastChange(index, action, data, options = {}) {
+        const task = options.task || index.tasks[data.taskId];
+
+        broadcastUpdate({
+            type: 'update',
+            action: action,
+            ...data,
+            last_sync: index.last_sync,
+            timestamp: new Date().toISOString()
+        });
 
-            return;
+        const config = loadConfig(boardPath);
+
+        const event = WEBHOOK_EVENT_FOR_ACTION[action];
+        if (event) {
+            sendWebhooks(config, event, data.taskId, task, {
+                from: data.fromColumn,
+                changes: data.changes,
+                comment: action === 'comment' ? { author: data.author, text: data.text } : undefined
+            }, boardPath);
         }
 
-        // Handle API endpoint for status/polling (kept for backwards compatibility)
-        if (req.method === 'GET' && req.url === '/api/status') {
-            try {
-                const index = loadIndex(boardPath);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    last_sync: index.last_sync,
-                    timestamp: new Date().toISOString()
-                }));
-            } catch (err) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: err.message }));
+        const message = describeChange(COMMIT_ACTION_FOR_ACTION[action] || action, data.taskId, task, {
+            changes: data.changes,
+            author: data.author
+        });
+        commits.add(config, message, [task.file, ...(options.ranked || []).map(id => index.tasks[id].file)]);
+    }
+
+    // JSON API: [method, path, handler]. A ":name" path segment is passed to the
+    // handler in params. Handlers return the response fields (plus an optional
+    // status) or throw; see apiErrorResponse for how errors map to status codes.
+    const apiRoutes = [
+        ['GET', '/api/status', () => {
+            const index = loadIndex(boardPath);
+            return { last_sync: index.last_sync, timestamp: new Date().toISOString() };
+        }],
+
+        // Tasks, filtered by ?column=, ?priority=, ?tag=, ?assigned= and ?q= (a query), in board order
+        ['GET', '/api/tasks', ({ query }) => {
+            const { config, index } = loadBoard();
+
+            const column = query.get('column');
+            if (column && !config.columns.some(c => c.id === column)) {
+                throw apiError('INVALID', `Invalid column: ${column}. Valid columns: ${config.columns.map(c => c.id).join(', ')}`);
             }
-            return;
-        }
+            const priority = query.get('priority');
+            if (priority && !config.priorities.includes(priority)) {
+                throw apiError('INVALID', `Invalid priority: ${priority}. Valid priorities: ${config.priorities.join(', ')}`);
+            }
+            const tag = query.get('tag');
+            const assigned = query.get('assigned');
+            const matchesQuery = query.get('q') ? compileQuery(query.get('q'), config) : () => true;
+
+            const order = config.columns.map(c => c.id);
+            const tasks = Object.entries(index.tasks)
+                .filter(([id, task]) => (!column || task.status === column)
+                    && (!priority || task.priority === priority)
+                    && (!tag || (task.tags || []).includes(tag))
+                    && (assigned === null || (task.assigned || '') === assigned)
+                    && matchesQuery(id, task))
+                .sort(([, a], [, b]) => order.indexOf(a.status) - order.indexOf(b.status) || compareTasksByRank(a, b))
+                .map(([id, task]) => taskRecord(id, task));
+
+            return { count: tasks.length, tasks };
+        }],
+
+        ['POST', '/api/tasks', ({ body }) => {
+            const { config, index } = loadBoard();
+            const { title, column, priority, tags, assigned, description, notes, due, fields, force } = body;
+
+            ignoreNextWatch = true;
+
+            // Same validation and template as flatban create; empty form fields count as not given
+            const { taskId, task, ranked } = createTask(config, index, {
+                title: typeof title === 'string' ? title : '',
+                column: column || undefined,
+                priority: priority || undefined,
+                tags: (Array.isArray(tags) ? tags : String(tags || '').split(',')).map(t => String(t).trim()).filter(Boolean),
+                assigned: typeof assigned === 'string' ? assigned.trim() : '',
+                description: typeof description === 'string' ? description.trim() : '',
+                notes: typeof notes === 'string' ? notes.trim() : '',
+                due: due || undefined,
+                fields: Object.fromEntries(Object.entries(fields || {}).filter(([, value]) => value !== '' && value !== null))
+            }, boardPath, { force: !!force });
+
+            saveIndex(index, boardPath);
+
+            broadcastChange(index, 'create', {
+                taskId: taskId,
+                taskTitle: task.title,
+                toColumn: task.status,
+                toColumnName: config.columns.find(c => c.id === task.status).name
+            }, { ranked });
+
+            return { status: 201, task: taskRecord(taskId, task) };
+        }],
+
+        // A task with its body split into description, notes, comments, history and other sections
+        ['GET', '/api/tasks/:id', ({ params }) => {
+            const { index } = loadBoard();
+            const taskId = findTaskByPartialId(index, params.id);
+            const task = index.tasks[taskId];
 
-        // Handle API endpoint for moving tasks
-        if (req.method === 'POST' && req.url === '/api/move') {
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            req.on('end', () => {
-                try {
-                    const { taskId, targetColumn } = JSON.parse(body);
+            const taskFile = path.join(boardPath, task.file);
+            if (!fs.existsSync(taskFile)) {
+                throw apiError('NOT_FOUND', `Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+            }
+            const { body } = parseFrontmatter(fs.readFileSync(taskFile, 'utf8'));
 
-                    const config = loadConfig(boardPath);
-                    const index = loadIndex(boardPath);
+            return { task: Object.assign(taskRecord(taskId, task), parseBodySections(body)) };
+        }],
 
-                    // Find full task ID
-                    const fullTaskId = findTaskByPartialId(index, taskId);
+        // Edit a task and/or move it to another column; baseModified guards against overwriting newer changes
+        ['PATCH', '/api/tasks/:id', ({ params, body }) => {
+            const { config, index } = loadBoard();
+            const taskId = findTaskByPartialId(index, params.id);
 
-                    // Validate target column
-                    const validColumns = config.columns.map(c => c.id);
-                    if (!validColumns.includes(targetColumn)) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Invalid column' }));
-                        return;
-                    }
+            const unknown = Object.keys(body).filter(key => !PATCH_KEYS.includes(key));
+            if (unknown.length > 0) {
+                throw apiError('INVALID', `Unknown key(s): ${unknown.join(', ')}. Valid keys: ${PATCH_KEYS.join(', ')}`);
+            }
 
-                    const task = index.tasks[fullTaskId];
-                    const oldColumn = task.status;
+            const { title, priority, tags, assigned, description, notes, due, fields, baseModified, force } = body;
+            const text = value => (typeof value === 'string' ? value : undefined);
 
-                    // Check if already in target column
-                    if (oldColumn === targetColumn) {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true }));
-                        return;
-                    }
+            for (const key of ['title', 'priority', 'assigned', 'description', 'notes', 'due']) {
+                if (body[key] !== undefined && typeof body[key] !== 'string' && !(key === 'due' && body[key] === null)) {
+                    throw apiError('INVALID', `${key} must be a string`);
+                }
+            }
+            if (tags !== undefined && typeof tags !== 'string' && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+                throw apiError('INVALID', 'tags must be a comma-separated string or an array of strings');
+            }
 
-                    // Move file
-                    const oldPath = path.join(boardPath, task.file);
-                    const newFilename = path.basename(task.file);
-                    const newPath = path.join(boardPath, '.flatban', targetColumn, newFilename);
+            // status is accepted too, as that is what GET returns
+            const column = body.column !== undefined ? body.column : body.status;
+            if (column !== undefined && !config.columns.some(c => c.id === column)) {
+                throw apiError('INVALID', `Invalid column: ${column}. Valid columns: ${config.columns.map(c => c.id).join(', ')}`);
+            }
+            if (fields !== undefined && (typeof fields !== 'object' || fields === null || Array.isArray(fields))) {
+                throw apiError('INVALID', 'fields must be an object of field IDs and values');
+            }
 
-                    if (!fs.existsSync(oldPath)) {
-                        res.writeHead(404, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Task file not found' }));
-                        return;
+            const moving = column !== undefined && column !== index.tasks[taskId].status;
+            if (moving && !force) {
+                checkMoveAllowed(config, index, taskId, column);
+            }
+
+            // A move that fails after the edit was written puts the file and entry back
+            const taskFile = path.join(boardPath, index.tasks[taskId].file);
+            const original = moving && fs.existsSync(taskFile)
+                ? { entry: { ...index.tasks[taskId] }, content: fs.readFileSync(taskFile, 'utf8'), mtime: fs.statSync(taskFile).mtime }
+                : null;
+
+            ignoreNextWatch = true;
+
+            const { task, changes } = updateTask(config, index, taskId, {
+                title: text(title),
+                priority: text(priority),
+                tags: tags === undefined ? undefined : Array.isArray(tags) ? tags : tags.split(','),
+                assigned: text(assigned),
+                description: text(description),
+                notes: text(notes),
+                due: due === null ? '' : text(due),
+                fields
+            }, boardPath, { baseModified, force: !!force });
+
+            let moveResult = { ranked: [] };
+            if (moving) {
+                try {
+                    moveResult = moveTask(config, index, taskId, column, boardPath, { force: true });
+                } catch (err) {
+                    if (original && changes.length > 0) {
+                        fs.writeFileSync(taskFile, original.content);
+                        fs.utimesSync(taskFile, original.mtime, original.mtime);
+                        index.tasks[taskId] = original.entry;
                     }
+                    throw err;
+                }
+            }
+            const { oldColumn, targetColumnName, ranked } = moveResult;
 
-                    // Ignore filesystem watcher for this change
-                    ignoreNextWatch = true;
+            if (changes.length === 0 && !moving) {
+                ignoreNextWatch = false;
+                return { task: taskRecord(taskId, task), changes };
+            }
 
-                    fs.renameSync(oldPath, newPath);
+            saveIndex(index, boardPath);
 
-                    // Update task history
-                    const targetColumnName = config.columns.find(c => c.id === targetColumn)?.name || 'unknown';
-                    appendToHistory(newPath, `Moved to ${targetColumnName}`);
+            if (changes.length > 0) {
+                broadcastChange(index, 'edit', { taskId: taskId, taskTitle: task.title, changes: changes });
+            }
+            if (moving) {
+                broadcastChange(index, 'move', {
+                    taskId: taskId,
+                    taskTitle: task.title,
+                    fromColumn: oldColumn,
+                    toColumn: column,
+                    toColumnName: targetColumnName
+                }, { ranked });
+            }
 
-                    // Update index
-                    index.tasks[fullTaskId].file = `.flatban/${targetColumn}/${newFilename}`;
-                    index.tasks[fullTaskId].status = targetColumn;
+            return { task: taskRecord(taskId, task), changes, moved: moving };
+        }],
+
+        // Deleted tasks go to the trash, like flatban delete
+        ['DELETE', '/api/tasks/:id', ({ params }) => deleteTaskRoute(params.id)],
+
+        ['GET', '/api/columns', () => {
+            const { config, index } = loadBoard();
+            return {
+                columns: config.columns.map(column => ({
+                    id: column.id,
+                    name: column.name,
+                    wip_limit: column.wip_limit || null,
+                    count: countTasksInColumn(index, column.id)
+                }))
+            };
+        }],
 
-                    const stats = fs.statSync(newPath);
-                    index.tasks[fullTaskId].modified = stats.mtime.toISOString();
+        // Webhook secrets are not sent to the browser
+        ['GET', '/api/config', () => {
+            const config = loadConfig(boardPath);
+            config.webhooks = config.webhooks.map(hook => ({ ...hook, secret: hook.secret ? '********' : null }));
+            return { config };
+        }],
 
-                    index.columns[oldColumn]--;
-                    index.columns[targetColumn]++;
+        // Move a task to a column and/or position, and into another swimlane
+        ['POST', '/api/move', ({ body }) => {
+            const { taskId, targetColumn, force, before, after, top, lane } = body;
 
-                    saveIndex(index, boardPath);
+            const config = loadConfig(boardPath);
+            const index = loadIndex(boardPath);
 
-                    // Broadcast update to all connected SSE clients
-                    broadcastUpdate({
-                        type: 'update',
-                        action: 'move',
-                        taskId: fullTaskId,
-                        taskTitle: task.title,
-                        fromColumn: oldColumn,
-                        toColumn: targetColumn,
-                        toColumnName: targetColumnName,
-                        last_sync: index.last_sync,
-                        timestamp: new Date().toISOString()
-                    });
+            // An empty ID would match every task
+            if (typeof taskId !== 'string' || !taskId) {
+                throw apiError('INVALID', 'taskId required');
+            }
+            if (!config.columns.some(c => c.id === targetColumn)) {
+                throw apiError('INVALID', `Invalid column: ${targetColumn}. Valid columns: ${config.columns.map(c => c.id).join(', ')}`);
+            }
 
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } catch (err) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: err.message }));
+            // Find full task ID
+            const fullTaskId = findTaskByPartialId(index, taskId);
+
+            // A drop into another swimlane also changes that lane's field; check it before moving anything
+            if (lane) {
+                if (!LANE_FIELDS.includes(lane.field)) {
+                    throw apiError('INVALID', `Invalid lanes: ${lane.field}`);
+                }
+                if (lane.field === 'priority' && !config.priorities.includes(lane.value)) {
+                    throw apiError('INVALID', `Invalid priority: ${lane.value}`);
                 }
+            }
+
+            const task = index.tasks[fullTaskId];
+
+            // Ignore filesystem watcher for this change
+            ignoreNextWatch = true;
+
+            // Drops land before or after a neighbouring card, or at the top of an empty spot
+            const position = before ? { before: findTaskByPartialId(index, before) }
+                : after ? { after: findTaskByPartialId(index, after) }
+                : top ? { top: true }
+                : {};
+            const { oldColumn, targetColumnName, moved, reordered, ranked } = moveTask(config, index, fullTaskId, targetColumn, boardPath, { force: !!force, position });
+
+            const laneResult = lane ? setLaneValue(config, index, fullTaskId, lane.field, lane.value || '', boardPath) : null;
+            const laneChanged = laneResult ? laneResult.changed : false;
+
+            // Check if already in target column and lane
+            if (!moved && !reordered && !laneChanged) {
+                ignoreNextWatch = false;
+                return {};
+            }
+
+            saveIndex(index, boardPath);
+
+            broadcastChange(index, moved ? 'move' : laneChanged ? 'lane' : 'reorder', {
+                taskId: fullTaskId,
+                taskTitle: task.title,
+                fromColumn: oldColumn,
+                toColumn: targetColumn,
+                toColumnName: targetColumnName,
+                lane: laneChanged ? lane : undefined,
+                changes: laneChanged ? laneResult.changes : undefined
+            }, { ranked });
+
+            return {};
+        }],
+
+        // Tick or untick a checklist item
+        ['POST', '/api/checklist', ({ body }) => {
+            const { taskId, item, checked } = body;
+
+            const index = loadIndex(boardPath);
+
+            // Find full task ID
+            const fullTaskId = findTaskByPartialId(index, taskId);
+
+            if (!Number.isInteger(item) || item < 1) {
+                throw apiError('INVALID', 'Invalid checklist item');
+            }
+
+            // Ignore filesystem watcher for this change
+            ignoreNextWatch = true;
+
+            const result = toggleChecklistItem(index, fullTaskId, item, !!checked, boardPath);
+
+            if (!result.changed) {
+                ignoreNextWatch = false;
+                return { checklist: result.task.checklist };
+            }
+
+            saveIndex(index, boardPath);
+
+            broadcastChange(index, 'checklist', {
+                taskId: fullTaskId,
+                taskTitle: result.task.title,
+                item: result.item.text,
+                checked: !!checked,
+                changes: [`${checked ? 'Checked' : 'Unchecked'} "${result.item.text}"`]
             });
-            return;
+
+            return { checklist: result.task.checklist };
+        }],
+
+        // Comment on a task, or reply to one of its comments
+        ['POST', '/api/comment', ({ body }) => {
+            const { taskId, text, replyTo } = body;
+
+            const index = loadIndex(boardPath);
+
+            // Find full task ID
+            const fullTaskId = findTaskByPartialId(index, taskId);
+
+            if (typeof text !== 'string' || !text.trim()) {
+                throw apiError('INVALID', 'Comment cannot be empty');
+            }
+
+            // Ignore filesystem watcher for this change
+            ignoreNextWatch = true;
+
+            const { task, author } = commentOnTask(index, fullTaskId, text, boardPath, {
+                replyTo: Number.isInteger(replyTo) && replyTo > 0 ? replyTo : null
+            });
+
+            saveIndex(index, boardPath);
+
+            broadcastChange(index, 'comment', {
+                taskId: fullTaskId,
+                taskTitle: task.title,
+                author: author,
+                text: text.trim()
+            });
+
+            return { author };
+        }],
+
+        // Older alias for DELETE /api/tasks/:id
+        ['POST', '/api/delete', ({ body }) => deleteTaskRoute(body.taskId)],
+
+        // Full-text search (?q=jwt+expiry), with matches wrapped in <mark>
+        ['GET', '/api/search', ({ query: params }) => {
+            const { index } = loadBoard();
+
+            const query = params.get('q') || '';
+            const terms = tokenize(query);
+            const mark = (snippet) => highlightSnippet(snippet, '<mark>', '</mark>', escapeHtml);
+
+            const results = searchTasks(index, query, boardPath).map(result => ({
+                id: result.id,
+                status: result.task.status,
+                score: result.score,
+                title: mark({ text: result.task.title, highlights: findHighlights(result.task.title, terms) }),
+                snippet: mark(result.snippet)
+            }));
+
+            return { query, results };
+        }],
+
+        // Render markdown for the preview in the edit form
+        ['POST', '/api/preview', ({ body }) => ({ html: formatMarkdown(typeof body.text === 'string' ? body.text : '') })]
+    ];
+
+    function deleteTaskRoute(taskId) {
+        const config = loadConfig(boardPath);
+        const index = loadIndex(boardPath);
+
+        if (!taskId) {
+            throw apiError('INVALID', 'taskId is required');
+        }
+
+        // Find full task ID
+        const fullTaskId = findTaskByPartialId(index, String(taskId));
+        const taskTitle = index.tasks[fullTaskId].title;
+
+        // Ignore filesystem watcher for this change
+        ignoreNextWatch = true;
+
+        // Move file to trash and drop it from the index
+        const { task } = trashTask(config, index, fullTaskId, boardPath);
+
+        saveIndex(index, boardPath);
+
+        broadcastChange(index, 'delete', { taskId: fullTaskId, taskTitle: taskTitle }, { task });
+
+        return { id: fullTaskId };
+    }
+
+    async function handleApiRequest(req, res, url) {
+        const match = matchRoute(apiRoutes, req.method, url.pathname);
+
+        try {
+            if (!match) {
+                throw apiError('NOT_FOUND', `No such endpoint: ${req.method} ${url.pathname}`);
+            }
+            if (!match.handler) {
+                res.setHeader('Allow', match.allow.join(', '));
+                throw apiError('METHOD_NOT_ALLOWED', `${req.method} is not supported for ${url.pathname}. Use ${match.allow.join(', ')}`);
+            }
+            if (req.method !== 'GET') {
+                if (!isSameOrigin(req)) {
+                    throw apiError('FORBIDDEN', 'Cross-site requests are not allowed');
+                }
+                if (readonly) {
+                    throw apiError('READONLY', 'This board is read-only');
+                }
+            }
+
+            const body = req.method === 'GET' ? {} : await readJsonBody(req);
+            const { status = 200, ...data } = match.handler({ params: match.params, query: url.searchParams, body });
+
+            sendJson(res, status, { success: true, ...data });
+        } catch (err) {
+            // A failed write must not swallow the next change made outside the browser
+            ignoreNextWatch = false;
+
+            const { status, code, message } = apiErrorResponse(err);
+            sendJson(res, status, { success: false, error: message, code: code });
         }
+    }
 
-        // Handle API endpoint for deleting tasks
-        if (req.method === 'POST' && req.url === '/api/delete') {
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
+    const loginCookie = token ? `${TOKEN_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict` : null;
+
+    /**
+     * Let a request through only if it carries the token, otherwise answer it
+     * with a 401 (the login page for browsers). Returns whether to carry on.
+     */
+    function checkAccess(req, res, url) {
+        // The login form posts the token here
+        if (req.method === 'POST' && url.pathname === '/login') {
+            readBody(req).then(body => {
+                const given = new URLSearchParams(body).get('token') || '';
+                if (isSameOrigin(req) && tokensMatch(given, token)) {
+                    res.writeHead(302, { 'Set-Cookie': loginCookie, 'Location': '/' });
+                    res.end();
+                } else {
+                    sendLoginPage(res, config => generateLoginHTML(config, true));
+                }
+            }).catch(() => {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('Bad request');
             });
-            req.on('end', () => {
-                try {
-                    const { taskId } = JSON.parse(body);
+            return false;
+        }
 
-                    const config = loadConfig(boardPath);
-                    const index = loadIndex(boardPath);
+        // A board link with ?token= logs the browser in, then drops the token from the address bar
+        const given = url.searchParams.get('token');
+        if (given !== null && req.method === 'GET' && !url.pathname.startsWith('/api/')) {
+            if (tokensMatch(given, token)) {
+                url.searchParams.delete('token');
+                res.writeHead(302, { 'Set-Cookie': loginCookie, 'Location': url.pathname + url.search });
+                res.end();
+            } else {
+                sendLoginPage(res, config => generateLoginHTML(config, true));
+            }
+            return false;
+        }
 
-                    // Find full task ID
-                    const fullTaskId = findTaskByPartialId(index, taskId);
+        if (isAuthorized(req, token)) {
+            return true;
+        }
 
-                    const task = index.tasks[fullTaskId];
-                    if (!task) {
-                        res.writeHead(404, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Task not found' }));
-                        return;
-                    }
+        if (url.pathname.startsWith('/api/')) {
+            sendJson(res, 401, { success: false, error: 'Access token required', code: 'UNAUTHORIZED' });
+        } else {
+            sendLoginPage(res, config => generateLoginHTML(config, false));
+        }
+        return false;
+    }
 
-                    // Ignore filesystem watcher for this change
-                    ignoreNextWatch = true;
+    function sendLoginPage(res, render) {
+        let config;
+        try {
+            config = loadConfig(boardPath);
+        } catch (err) {
+            config = { name: 'Flatban' };
+        }
+        res.writeHead(401, { 'Content-Type': 'text/html' });
+        res.end(render(config));
+    }
 
-                    // Delete file
-                    const taskPath = path.join(boardPath, task.file);
-                    if (fs.existsSync(taskPath)) {
-                        fs.unlinkSync(taskPath);
-                    }
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
 
-                    // Update index
-                    const taskColumn = task.status;
-                    const taskTitle = task.title;
-                    delete index.tasks[fullTaskId];
-                    index.columns[taskColumn]--;
-
-                    saveIndex(index, boardPath);
-
-                    // Broadcast update to all connected SSE clients
-                    broadcastUpdate({
-                        type: 'update',
-                        action: 'delete',
-                        taskId: fullTaskId,
-                        taskTitle: taskTitle,
-                        last_sync: index.last_sync,
-                        timestamp: new Date().toISOString()
-                    });
+        if (token && !checkAccess(req, res, url)) {
+            return;
+        }
+        if (!token && !isAllowedHost(req, host, port)) {
+            if (url.pathname.startsWith('/api/')) {
+                sendJson(res, 403, { success: false, error: `Unknown host: ${req.headers.host}`, code: 'FORBIDDEN' });
+            } else {
+                res.writeHead(403, { 'Content-Type': 'text/plain' });
+                res.end(`Unknown host: ${req.headers.host}. Open the board at ${boardUrl(host, port)}`);
+            }
+            return;
+        }
 
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } catch (err) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: err.message }));
+        // Handle SSE endpoint for real-time updates
+        if (req.method === 'GET' && req.url === '/api/events') {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+
+            // Send initial connection message
+            res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+
+            // Add client to list
+            sseClients.push(res);
+
+            // Remove client when connection closes
+            req.on('close', () => {
+                const index = sseClients.indexOf(res);
+                if (index !== -1) {
+                    sseClients.splice(index, 1);
                 }
             });
+
+            return;
+        }
+
+        // Everything else under /api/ is the JSON API
+        if (url.pathname.startsWith('/api/')) {
+            handleApiRequest(req, res, url);
             return;
         }
 
         // Serve the root path
-        if (req.url !== '/' && req.url !== '/index.html') {
+        if (url.pathname !== '/' && url.pathname !== '/index.html') {
             res.writeHead(404);
             res.end('Not found');
             return;
         }
 
         try {
-            // Load config and index
-            const config = loadConfig(boardPath);
-            let index = loadIndex(boardPath);
-
-            // Check if sync needed and rebuild if necessary
-            if (checkIfSyncNeeded(index, config, boardPath)) {
-                index = rebuildIndex(config, boardPath);
+            const { config, index } = loadBoard();
+
+            // Custom field filters (?component=backend) and a query (?q=priority>=high) come from the query string
+            // Swimlanes (?lanes=assigned) override the config default; ?lanes=none turns them off
+            const filters = { q: url.searchParams.get('q') || '', lanes: url.searchParams.get('lanes') || undefined };
+            for (const field of config.fields) {
+                const value = url.searchParams.get(field.id);
+                if (value) {
+                    filters[field.id] = value;
+                }
             }
 
             // Generate HTML
-            const html = generateHTML(config, index, boardPath);
+            const html = generateHTML(config, index, boardPath, filters, { readonly });
 
             res.writeHead(200, { 'Content-Type': 'text/html' });
             res.end(html);
@@ -272,8 +890,18 @@ function createServer(boardPath, port) {
         }
     });
 
-    server.listen(port, () => {
-        console.log(`\n✓ Web viewer running at http://localhost:${port}`);
+    server.listen(port, host, () => {
+        console.log(`\n✓ Web viewer running at ${boardUrl(host, port)}`);
+        if (!isLoopbackHost(host)) {
+            console.log(`  Listening on ${host}, reachable from other machines`);
+        }
+        if (token) {
+            console.log(`  Access token: ${token}`);
+            console.log(`  Log in with: ${boardUrl(host, port, token)}`);
+        }
+        if (readonly) {
+            console.log('  Read-only: changes from the browser and the API are refused');
+        }
         console.log('Press Ctrl+C to stop\n');
     });
 
@@ -322,6 +950,9 @@ function rebuildIndex(config, boardPath) {
         index.columns[column.id] = 0;
     }
 
+    const gitTimes = loadGitTimes(boardPath);
+
+    // Only column directories are scanned, so .trash is never indexed
     for (const column of config.columns) {
         const columnDir = path.join(boardPath, '.flatban', column.id);
 
@@ -335,27 +966,10 @@ function rebuildIndex(config, boardPath) {
 
         for (const taskFile of files) {
             try {
-                const content = fs.readFileSync(taskFile, 'utf8');
-                const { frontmatter, body } = parseFrontmatter(content);
-
-                const taskId = frontmatter.id;
+                const { taskId, entry } = buildIndexEntry(config, boardPath, taskFile, column.id, gitTimes);
                 if (!taskId) continue;
 
-                const stats = fs.statSync(taskFile);
-                const relativePath = path.relative(boardPath, taskFile);
-
-                index.tasks[taskId] = {
-                    file: relativePath,
-                    title: frontmatter.title || 'Untitled',
-                    status: column.id,
-                    priority: frontmatter.priority || 'medium',
-                    tags: frontmatter.tags || [],
-                    assigned: frontmatter.assigned || '',
-                    created: stats.birthtime.toISOString(),
-                    modified: stats.mtime.toISOString(),
-                    body: body
-                };
-
+                index.tasks[taskId] = entry;
                 index.columns[column.id]++;
             } catch (err) {
                 console.error(`Warning: Could not parse ${taskFile}`);
@@ -379,33 +993,69 @@ function formatDatetime(timestamp) {
     return `${month} ${day}, ${hours}:${minutes}`;
 }
 
-function generateHTML(config, index, boardPath) {
-    const tasksByColumn = {};
-    for (const column of config.columns) {
-        tasksByColumn[column.id] = [];
+function formatDueDate(due) {
+    const date = new Date(`${due}T00:00:00`);
+    const month = date.toLocaleString('en', { month: 'short' });
+    return `${month} ${date.getDate()}`;
+}
+
+function generateHTML(config, index, boardPath, filters = {}, options = {}) {
+    const tasks = [];
+
+    const activeFilters = config.fields.filter(field => filters[field.id]);
+    const today = formatLocalDate(new Date());
+
+    // An invalid query is reported in the header and the board is shown unfiltered
+    let matchesQuery = () => true;
+    let queryError = null;
+    if (filters.q) {
+        try {
+            matchesQuery = compileQuery(filters.q, config);
+        } catch (err) {
+            queryError = err.message;
+        }
+    }
+
+    // Swimlanes come from ?lanes= or the config default; an invalid value is reported like a bad query
+    let laneBy = null;
+    try {
+        laneBy = parseLanesOption(filters.lanes, config);
+    } catch (err) {
+        queryError = queryError || err.message;
     }
 
-    // Group tasks by column and add body content
+    // Collect matching tasks and add body content
     for (const [taskId, task] of Object.entries(index.tasks)) {
+        const taskFields = task.fields || {};
+        if (!activeFilters.every(field => matchesFieldFilter(field, taskFields[field.id], filters[field.id]))) {
+            continue;
+        }
+        if (!matchesQuery(taskId, task)) {
+            continue;
+        }
+
         // Always read task body fresh from file to ensure history is up to date
         try {
             const taskFile = path.join(boardPath, task.file);
             const content = fs.readFileSync(taskFile, 'utf8');
             const { body } = parseFrontmatter(content);
             task.body = body;
+            // The edit form sends this back so edits to a file changed in the meantime are caught
+            task.mtime = fs.statSync(taskFile).mtime.toISOString();
         } catch (err) {
             task.body = '';
         }
 
-        tasksByColumn[task.status].push({ id: taskId, ...task });
+        tasks.push({ id: taskId, ...task });
     }
 
-    // Sort each column by modified date, newest first
-    for (const column of config.columns) {
-        tasksByColumn[column.id].sort((a, b) => {
-            return new Date(b.modified) - new Date(a.modified);
-        });
-    }
+    // Cards keep their manual order (rank) within each column
+    tasks.sort(compareTasksByRank);
+
+    const lanes = laneBy ? groupTasksIntoLanes(config, tasks, laneBy) : [];
+
+    // Read-only boards render without drag and drop, forms or edit buttons
+    const view = { today, readonly: !!options.readonly };
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -438,41 +1088,117 @@ function generateHTML(config, index, boardPath) {
             box-sizing: border-box;
         }
 
-        .column {
+        .column {
+            flex: 1;
+            min-width: 200px;
+            background: #ebecf0;
+            border-radius: 8px;
+            padding: 12px;
+            display: flex;
+            flex-direction: column;
+            height: calc(100vh - 100px);
+        }
+
+        .column-header {
+            font-weight: 600;
+            font-size: 14px;
+            color: #172b4d;
+            margin-bottom: 12px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 0 4px;
+            flex-shrink: 0;
+        }
+
+        .column-count {
+            background: #dfe1e6;
+            padding: 2px 8px;
+            border-radius: 12px;
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .column-actions {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+
+        .column-add {
+            color: #5e6c84;
+            text-decoration: none;
+            font-size: 18px;
+            line-height: 1;
+            padding: 0 4px;
+            border-radius: 3px;
+        }
+
+        .column-add:hover {
+            background: #dfe1e6;
+            color: #172b4d;
+        }
+
+        .column.over-limit {
+            background: #fdecea;
+            box-shadow: inset 0 3px 0 #e74c3c;
+        }
+
+        .column.over-limit .column-count {
+            background: #e74c3c;
+            color: white;
+        }
+
+        .column-tasks {
             flex: 1;
-            min-width: 200px;
-            background: #ebecf0;
-            border-radius: 8px;
-            padding: 12px;
-            display: flex;
+            overflow-y: auto;
+            padding: 0 2px;
+        }
+
+        /* Swimlanes stack rows of columns; the board scrolls instead of each column */
+        .board.lanes {
             flex-direction: column;
-            height: calc(100vh - 100px);
+            overflow-y: auto;
         }
 
-        .column-header {
+        .lane {
+            flex-shrink: 0;
+        }
+
+        .lane-header {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 4px;
+            margin-bottom: 8px;
             font-weight: 600;
             font-size: 14px;
             color: #172b4d;
-            margin-bottom: 12px;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            padding: 0 4px;
-            flex-shrink: 0;
+            cursor: pointer;
+            user-select: none;
         }
 
-        .column-count {
-            background: #dfe1e6;
-            padding: 2px 8px;
-            border-radius: 12px;
-            font-size: 12px;
-            font-weight: 500;
+        .lane-toggle {
+            display: inline-block;
+            transition: transform 0.2s;
         }
 
-        .column-tasks {
-            flex: 1;
-            overflow-y: auto;
-            padding: 0 2px;
+        .lane.collapsed .lane-toggle {
+            transform: rotate(-90deg);
+        }
+
+        .lane.collapsed .lane-columns {
+            display: none;
+        }
+
+        .lane-columns {
+            display: flex;
+            gap: 16px;
+        }
+
+        .lane .column {
+            height: auto;
+            min-height: 100px;
         }
 
         .task {
@@ -530,6 +1256,18 @@ function generateHTML(config, index, boardPath) {
             content: 'Drop here';
         }
 
+        /* Between two cards the indicator is a thin line marking the exact drop position */
+        .drop-indicator.active.between {
+            height: 4px;
+            border: none;
+            background: #3498db;
+            margin: -2px 0 6px;
+        }
+
+        .drop-indicator.active.between::after {
+            content: none;
+        }
+
         .task.priority-critical {
             border-left-color: #e74c3c;
         }
@@ -586,6 +1324,58 @@ function generateHTML(config, index, boardPath) {
             color: #0052cc;
         }
 
+        .task-blocked {
+            background: #fdecea;
+            color: #bf2600;
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-family: 'Monaco', 'Consolas', monospace;
+            font-size: 10px;
+            text-decoration: none;
+            cursor: pointer;
+        }
+
+        .task-blocked.resolved {
+            background: #f4f5f7;
+            color: #5e6c84;
+            text-decoration: line-through;
+        }
+
+        .task-progress {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-top: 8px;
+            font-size: 10px;
+            color: #5e6c84;
+        }
+
+        .task-progress-bar {
+            flex: 1;
+            height: 4px;
+            background: #dfe1e6;
+            border-radius: 2px;
+            overflow: hidden;
+        }
+
+        .task-progress-bar div {
+            height: 100%;
+            background: #36b37e;
+        }
+
+        .task-due {
+            background: #e3fcef;
+            color: #006644;
+            padding: 2px 6px;
+            border-radius: 3px;
+        }
+
+        .task-due.overdue {
+            background: #e74c3c;
+            color: white;
+            font-weight: 600;
+        }
+
         header {
             position: fixed;
             top: 0;
@@ -614,6 +1404,93 @@ function generateHTML(config, index, boardPath) {
             font-size: 11px;
         }
 
+        .readonly-badge {
+            background: #dfe1e6;
+            color: #172b4d;
+            padding: 2px 8px;
+            border-radius: 12px;
+            font-size: 12px;
+            font-weight: 600;
+            margin-right: 8px;
+        }
+
+        .field-filters {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+
+        .field-filters input,
+        .field-filters select,
+        .field-filters button {
+            font-size: 12px;
+            padding: 4px 6px;
+            border: 1px solid #dfe1e6;
+            border-radius: 3px;
+            background: white;
+            color: #172b4d;
+        }
+
+        .field-filters input {
+            width: 110px;
+        }
+
+        .field-filters button {
+            cursor: pointer;
+        }
+
+        .field-filters .query-input {
+            width: 260px;
+        }
+
+        .field-filters .query-input.invalid {
+            border-color: #e74c3c;
+        }
+
+        .query-error {
+            color: #bf2600;
+            font-size: 12px;
+            max-width: 300px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .field-filters a {
+            color: #0052cc;
+        }
+
+        .search-box input {
+            font-size: 13px;
+            padding: 5px 8px;
+            width: 220px;
+            border: 1px solid #dfe1e6;
+            border-radius: 3px;
+            color: #172b4d;
+        }
+
+        .task.search-hidden {
+            display: none;
+        }
+
+        .task-snippet {
+            margin-top: 8px;
+            font-size: 11px;
+            color: #5e6c84;
+            line-height: 1.4;
+        }
+
+        .task-snippet:empty {
+            display: none;
+        }
+
+        mark {
+            background: #fff0b3;
+            color: inherit;
+            padding: 0 1px;
+            border-radius: 2px;
+        }
+
         /* Modal Styles */
         .modal {
             display: none;
@@ -767,7 +1644,18 @@ function generateHTML(config, index, boardPath) {
             margin-bottom: 4px;
         }
 
-        .modal-body code {
+        .modal-body li:has(> .checklist-item) {
+            list-style: none;
+            margin-left: -20px;
+        }
+
+        .checklist-item {
+            cursor: pointer;
+            margin-right: 4px;
+        }
+
+        .modal-body code,
+        .task-branch {
             background: #f4f5f7;
             padding: 2px 6px;
             border-radius: 3px;
@@ -775,12 +1663,157 @@ function generateHTML(config, index, boardPath) {
             font-size: 13px;
         }
 
+        .comment-form {
+            margin-top: 24px;
+            padding-top: 24px;
+            border-top: 1px solid #dfe1e6;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        .comment-form textarea {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #dfe1e6;
+            border-radius: 4px;
+            font-family: inherit;
+            font-size: 14px;
+            resize: vertical;
+        }
+
+        .task-form {
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        }
+
+        .task-form label {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            font-size: 12px;
+            font-weight: 600;
+            color: #5e6c84;
+        }
+
+        .task-form-row {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+        }
+
+        .task-form-row label {
+            flex: 1;
+            min-width: 120px;
+        }
+
+        .task-form input,
+        .task-form select,
+        .task-form textarea {
+            padding: 8px;
+            border: 1px solid #dfe1e6;
+            border-radius: 4px;
+            font-family: inherit;
+            font-size: 14px;
+            font-weight: normal;
+            color: #172b4d;
+        }
+
+        .task-form textarea {
+            resize: vertical;
+        }
+
+        .comment-form-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+        }
+
+        .comment-form select {
+            padding: 6px;
+            border: 1px solid #dfe1e6;
+            border-radius: 4px;
+            font-size: 13px;
+        }
+
+        .btn-comment,
+        .btn-create {
+            background: #0052cc;
+            color: white;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 4px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+        }
+
+        .btn-comment:hover,
+        .btn-create:hover {
+            background: #0747a6;
+        }
+
         .modal-actions {
             margin-top: 24px;
             padding-top: 24px;
             border-top: 1px solid #dfe1e6;
             display: flex;
             justify-content: flex-end;
+            gap: 8px;
+        }
+
+        .btn-edit,
+        .btn-cancel {
+            background: #ebecf0;
+            color: #172b4d;
+            border: none;
+            padding: 10px 20px;
+            border-radius: 4px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: background 0.2s;
+        }
+
+        .btn-edit:hover,
+        .btn-cancel:hover {
+            background: #dfe1e6;
+        }
+
+        /* Edit mode swaps the task view for the edit form */
+        .task-edit-form {
+            display: none;
+        }
+
+        .modal-content.editing .task-edit-form {
+            display: flex;
+        }
+
+        .modal-content.editing .modal-header h2,
+        .modal-content.editing .modal-meta,
+        .modal-content.editing .modal-body,
+        .modal-content.editing .comment-form,
+        .modal-content.editing .modal-actions {
+            display: none;
+        }
+
+        .markdown-editor {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 12px;
+        }
+
+        .markdown-preview {
+            border: 1px solid #dfe1e6;
+            border-radius: 4px;
+            padding: 8px 12px;
+            margin-top: 18px;
+            max-height: 260px;
+            overflow-y: auto;
+            font-size: 14px;
+            line-height: 1.6;
+            color: #172b4d;
         }
 
         .btn-delete {
@@ -807,88 +1840,113 @@ function generateHTML(config, index, boardPath) {
 <body>
     <header>
         <h1>${escapeHtml(config.name)}</h1>
+        <form class="field-filters" method="get" action="/">
+            <input type="text" name="q" class="query-input${queryError ? ' invalid' : ''}" placeholder="Query, e.g. priority>=high and tag:api" value="${escapeHtml(filters.q || '')}" title="${escapeHtml(queryError || 'Filter with the flatban query language')}">
+            ${config.fields.map(field => field.type === 'enum' ? `
+            <select name="${escapeHtml(field.id)}" title="${escapeHtml(field.name)}" onchange="this.form.submit()">
+                <option value="">${escapeHtml(field.name)}: any</option>
+                ${field.options.map(option => `<option value="${escapeHtml(option)}"${filters[field.id] === option ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+            </select>
+            ` : `
+            <input type="text" name="${escapeHtml(field.id)}" placeholder="${escapeHtml(field.name)}" value="${escapeHtml(filters[field.id] || '')}">
+            `).join('')}
+            <select name="lanes" title="Swimlanes" onchange="this.form.submit()">
+                <option value="none">No lanes</option>
+                ${LANE_FIELDS.map(field => `<option value="${field}"${laneBy === field ? ' selected' : ''}>Lanes: ${field}</option>`).join('')}
+            </select>
+            <button type="submit">Filter</button>
+            ${activeFilters.length > 0 || filters.q ? '<a href="/">Clear</a>' : ''}
+            ${queryError ? `<span class="query-error">${escapeHtml(queryError)}</span>` : ''}
+        </form>
+        <div class="search-box">
+            <input type="search" id="search" placeholder="Search tasks..." autocomplete="off">
+        </div>
         <div class="header-info">
+            ${options.readonly ? '<span class="readonly-badge" title="Changes are disabled on this server">Read-only</span>' : ''}
             Flatban v1.0
         </div>
     </header>
 
-    <div class="board">
-        ${config.columns.map(column => {
-            const tasks = tasksByColumn[column.id] || [];
-            return `
-        <div class="column" data-column-id="${escapeHtml(column.id)}">
-            <div class="column-header">
-                <span>${escapeHtml(column.name)}</span>
-                <span class="column-count">${index.columns[column.id] || 0}</span>
+    <div class="board${laneBy ? ' lanes' : ''}">
+        ${laneBy ? lanes.map(lane => `
+        <div class="lane" data-lane="${escapeHtml(lane.key)}">
+            <div class="lane-header" onclick="toggleLane(this.parentNode)">
+                <span class="lane-toggle">▾</span>
+                <span class="lane-label">${escapeHtml(lane.label)}</span>
+                <span class="column-count">${lane.tasks.length}</span>
+            </div>
+            <div class="lane-columns">
+                ${renderColumns(config, index, lane.tasks, view, lane)}
+            </div>
+        </div>
+        `).join('') : renderColumns(config, index, tasks, view)}
+    </div>
+
+    ${options.readonly ? '' : `
+    <!-- New task form, opened from a column's + button -->
+    <div id="new-task" class="modal">
+        <div class="modal-content">
+            <a href="#" class="modal-close">&times;</a>
+            <div class="modal-header">
+                <h2>New task</h2>
             </div>
-            <div class="column-tasks" data-column-id="${escapeHtml(column.id)}">
-                <div class="drop-indicator"></div>
-                ${tasks.map(task => `
-                <a href="#task-${escapeHtml(task.id)}" class="task priority-${escapeHtml(task.priority)}" title="${escapeHtml(task.id)}" draggable="true" data-task-id="${escapeHtml(task.id)}" data-column-id="${escapeHtml(column.id)}">
-                    <div class="task-id">${escapeHtml(task.id)}</div>
-                    <div class="task-title">${escapeHtml(task.title)}</div>
-                    <div class="task-meta">
-                        ${task.tags && task.tags.length > 0 ? task.tags.map(tag =>
-                            `<span class="task-tag">${escapeHtml(tag)}</span>`
-                        ).join('') : ''}
-                        ${task.assigned ? `<span class="task-assigned">@${escapeHtml(task.assigned)}</span>` : ''}
-                    </div>
-                </a>
-
-                <!-- Modal for this task -->
-                <div id="task-${escapeHtml(task.id)}" class="modal">
-                    <div class="modal-content">
-                        <a href="#" class="modal-close">&times;</a>
-                        <div class="modal-header">
-                            <div class="modal-id">${escapeHtml(task.id)}</div>
-                            <h2>${escapeHtml(task.title)}</h2>
-                        </div>
-                        <div class="modal-meta">
-                            <div class="meta-item">
-                                <strong>Status:</strong> ${escapeHtml(task.status)}
-                            </div>
-                            <div class="meta-item">
-                                <strong>Priority:</strong>
-                                <span class="priority-badge priority-${escapeHtml(task.priority)}">
-                                    ${escapeHtml(task.priority)}
-                                </span>
-                            </div>
-                            ${task.tags && task.tags.length > 0 ? `
-                            <div class="meta-item">
-                                <strong>Tags:</strong>
-                                ${task.tags.map(tag => `<span class="task-tag">${escapeHtml(tag)}</span>`).join('')}
-                            </div>
-                            ` : ''}
-                            ${task.assigned ? `
-                            <div class="meta-item">
-                                <strong>Assigned:</strong> @${escapeHtml(task.assigned)}
-                            </div>
-                            ` : ''}
-                            <div class="meta-item">
-                                <strong>Created:</strong> ${formatDatetime(task.created)}
-                            </div>
-                            <div class="meta-item">
-                                <strong>Modified:</strong> ${formatDatetime(task.modified)}
-                            </div>
-                        </div>
-                        <div class="modal-body">${formatMarkdown(task.body || '')}</div>
-                        <div class="modal-actions">
-                            <button class="btn-delete" onclick="deleteTask('${escapeHtml(task.id)}', '${escapeHtml(task.title)}'); return false;">
-                                Delete Task
-                            </button>
-                        </div>
-                    </div>
+            <form class="task-form" onsubmit="createTask(this); return false;">
+                <input type="text" name="title" placeholder="Title" required>
+                <div class="task-form-row">
+                    <label>Column
+                        <select name="column">
+                            ${config.columns.map(column => `<option value="${escapeHtml(column.id)}">${escapeHtml(column.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Priority
+                        <select name="priority">
+                            ${config.priorities.map(priority => `<option value="${escapeHtml(priority)}"${priority === 'medium' ? ' selected' : ''}>${escapeHtml(priority)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Assigned
+                        <input type="text" name="assigned" placeholder="Nobody">
+                    </label>
+                    <label>Due
+                        <input type="text" name="due" placeholder="YYYY-MM-DD, +3d">
+                    </label>
                 </div>
-                `).join('')}
-            </div>
+                <label>Tags
+                    <input type="text" name="tags" placeholder="Comma-separated, e.g. backend, api">
+                </label>
+                ${config.fields.length > 0 ? `
+                <div class="task-form-row">
+                    ${config.fields.map(field => `
+                    <label>${escapeHtml(field.name)}${field.required ? ' *' : ''}
+                        ${field.type === 'enum' ? `
+                        <select name="field-${escapeHtml(field.id)}"${field.required ? ' required' : ''}>
+                            <option value=""></option>
+                            ${field.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+                        </select>
+                        ` : `
+                        <input type="${field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}" name="field-${escapeHtml(field.id)}"${field.type === 'list' ? ' placeholder="Comma-separated"' : ''}${field.required ? ' required' : ''}>
+                        `}
+                    </label>
+                    `).join('')}
+                </div>
+                ` : ''}
+                <label>Description
+                    <textarea name="description" rows="4"></textarea>
+                </label>
+                <label>Notes
+                    <textarea name="notes" rows="3"></textarea>
+                </label>
+                <div class="comment-form-actions">
+                    <button type="submit" class="btn-create">Create task</button>
+                </div>
+            </form>
         </div>
-            `;
-        }).join('')}
     </div>
+    `}
 
     <script>
         // Configuration from server
         const boardConfig = ${JSON.stringify({
+            lanes: laneBy,
             notifications: config.notifications || {
                 enabled: false,
                 all_changes: false,
@@ -939,6 +1997,11 @@ function generateHTML(config, index, boardPath) {
                 return true;
             }
 
+            // Comments are addressed to people, so they always notify
+            if (updateData.action === 'comment') {
+                return true;
+            }
+
             // Check if we should notify for specific column moves
             if (updateData.action === 'move' && updateData.toColumn) {
                 return boardConfig.notifications.notify_columns.includes(updateData.toColumn);
@@ -984,9 +2047,12 @@ function generateHTML(config, index, boardPath) {
                 e.dataTransfer.dropEffect = 'move';
                 column.classList.add('drag-over');
 
-                // Show drop indicator
+                // Show drop indicator just above the card the pointer is over (or at the end)
                 if (dropIndicator) {
+                    const nextCard = cardAfterPointer(column, e.clientY);
+                    column.insertBefore(dropIndicator, nextCard);
                     dropIndicator.classList.add('active');
+                    dropIndicator.classList.toggle('between', visibleCards(column).length > 0);
                 }
             });
 
@@ -1017,38 +2083,352 @@ function generateHTML(config, index, boardPath) {
                 if (!draggedTask) return;
 
                 const taskId = draggedTask.dataset.taskId;
-                const oldColumn = draggedTask.dataset.columnId;
                 const newColumn = column.dataset.columnId;
 
-                if (oldColumn === newColumn) return;
-
-                // Send move request to server
-                fetch('/api/move', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        taskId: taskId,
-                        targetColumn: newColumn
-                    })
+                // Place the card before the card under the pointer, or after the last card
+                const cards = visibleCards(column);
+                const nextCard = cardAfterPointer(column, e.clientY);
+                const position = nextCard ? { before: nextCard.dataset.taskId }
+                    : cards.length > 0 ? { after: cards[cards.length - 1].dataset.taskId }
+                    : {};
+
+                // Dropped back where it was
+                const columnCards = Array.from(column.querySelectorAll('.task'));
+                const draggedIdx = columnCards.indexOf(draggedTask);
+                if (draggedIdx !== -1 && (columnCards[draggedIdx + 1] || null) === nextCard) return;
+
+                // Dropped into another swimlane: the card takes that lane's value too
+                const fromLane = draggedTask.closest('.lane');
+                const lane = column.dataset.lane !== undefined && fromLane && fromLane.dataset.lane !== column.dataset.lane
+                    ? { field: boardConfig.lanes, value: column.dataset.lane }
+                    : null;
+
+                requestMove(taskId, newColumn, false, position, lane);
+            });
+        });
+
+        // Cards in a column other than the one being dragged, in display order
+        function visibleCards(column) {
+            return Array.from(column.querySelectorAll('.task')).filter(card =>
+                card !== draggedTask && !card.classList.contains('search-hidden'));
+        }
+
+        // The first card whose vertical middle is below the pointer, or null at the end
+        function cardAfterPointer(column, y) {
+            return visibleCards(column).find(card => {
+                const rect = card.getBoundingClientRect();
+                return y < rect.top + rect.height / 2;
+            }) || null;
+        }
+
+        // Send move request to server, offering to override a WIP limit
+        // position is { before: id }, { after: id } or {} for the bottom of the column;
+        // lane is { field, value } when the card changes swimlane
+        function requestMove(taskId, newColumn, force, position, lane) {
+            fetch('/api/move', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    taskId: taskId,
+                    targetColumn: newColumn,
+                    force: force,
+                    before: position.before,
+                    after: position.after,
+                    lane: lane || undefined
                 })
-                .then(response => response.json())
-                .then(data => {
-                    if (data.success) {
-                        // Reload page to show updated board
-                        window.location.reload();
-                    } else {
-                        alert('Failed to move task: ' + (data.error || 'Unknown error'));
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    // Reload page to show updated board
+                    window.location.reload();
+                } else if (data.code === 'WIP_LIMIT' || data.code === 'BLOCKED') {
+                    if (confirm(data.error + '\\n\\nMove the task anyway?')) {
+                        requestMove(taskId, newColumn, true, position, lane);
                     }
+                } else {
+                    alert('Failed to move task: ' + (data.error || 'Unknown error'));
+                }
+            })
+            .catch(error => {
+                console.error('Error moving task:', error);
+                alert('Failed to move task');
+            });
+        }
+
+        // Reset the new task form for the column (and swimlane) whose + was clicked
+        function prepareNewTask(button) {
+            const form = document.querySelector('.task-form');
+            form.reset();
+            form.elements.column.value = button.dataset.columnId;
+
+            // Start the task in the lane it was created from
+            const lane = button.dataset.lane;
+            if (lane !== undefined && boardConfig.lanes === 'assigned') {
+                form.elements.assigned.value = lane;
+            } else if (lane && boardConfig.lanes === 'priority') {
+                form.elements.priority.value = lane;
+            } else if (lane && boardConfig.lanes === 'tag') {
+                form.elements.tags.value = lane;
+            }
+
+            setTimeout(() => form.elements.title.focus(), 0);
+        }
+
+        // Create a task from the new task form, offering to override a WIP limit
+        function createTask(form, force) {
+            const fields = {};
+            Array.from(form.elements).forEach(element => {
+                if (element.name && element.name.startsWith('field-')) {
+                    fields[element.name.substring(6)] = element.value;
+                }
+            });
+
+            fetch('/api/tasks', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    title: form.elements.title.value,
+                    column: form.elements.column.value,
+                    priority: form.elements.priority.value,
+                    tags: form.elements.tags.value,
+                    assigned: form.elements.assigned.value,
+                    due: form.elements.due.value,
+                    description: form.elements.description.value,
+                    notes: form.elements.notes.value,
+                    fields: fields,
+                    force: !!force
                 })
-                .catch(error => {
-                    console.error('Error moving task:', error);
-                    alert('Failed to move task');
-                });
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    // Reload page and open the new task
+                    window.location.hash = 'task-' + data.task.id;
+                    window.location.reload();
+                } else if (data.code === 'WIP_LIMIT') {
+                    if (confirm(data.error + '\\n\\nCreate the task anyway?')) {
+                        createTask(form, true);
+                    }
+                } else {
+                    alert('Failed to create task: ' + (data.error || 'Unknown error'));
+                }
+            })
+            .catch(error => {
+                console.error('Error creating task:', error);
+                alert('Failed to create task');
+            });
+        }
+
+        // Inline editing in the task modal. While a form is open, updates from other
+        // browsers don't reload the page; the save checks for conflicting changes instead.
+        let reloadPending = false;
+        const previewTimers = new Map();
+
+        function editTask(button) {
+            button.closest('.modal-content').classList.add('editing');
+        }
+
+        function cancelEdit(button) {
+            const content = button.closest('.modal-content');
+            const form = content.querySelector('.task-edit-form');
+            form.reset();
+            form.querySelectorAll('textarea').forEach(updatePreview);
+            content.classList.remove('editing');
+
+            if (reloadPending) {
+                window.location.reload();
+            }
+        }
+
+        function schedulePreview(textarea) {
+            clearTimeout(previewTimers.get(textarea));
+            previewTimers.set(textarea, setTimeout(() => updatePreview(textarea), 200));
+        }
+
+        // Render markdown the same way the server does, so the preview matches the saved task
+        function updatePreview(textarea) {
+            fetch('/api/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ text: textarea.value })
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    textarea.closest('.markdown-editor').querySelector('.markdown-preview').innerHTML = data.html;
+                }
+            })
+            .catch(error => console.error('Error rendering preview:', error));
+        }
+
+        // Save the edit form, offering to overwrite changes made on disk since it was opened
+        function saveTask(form, taskId, force) {
+            fetch('/api/tasks/' + encodeURIComponent(taskId), {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    title: form.elements.title.value,
+                    priority: form.elements.priority.value,
+                    tags: form.elements.tags.value,
+                    assigned: form.elements.assigned.value,
+                    description: form.elements.description.value,
+                    notes: form.elements.notes.value,
+                    baseModified: form.elements.baseModified.value,
+                    force: !!force
+                })
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    // Reload page to show the saved task
+                    window.location.reload();
+                } else if (data.code === 'CONFLICT') {
+                    if (confirm(data.error + '\\n\\nSave your changes over it anyway?')) {
+                        saveTask(form, taskId, true);
+                    }
+                } else {
+                    alert('Failed to save task: ' + (data.error || 'Unknown error'));
+                }
+            })
+            .catch(error => {
+                console.error('Error saving task:', error);
+                alert('Failed to save task');
+            });
+        }
+
+        // Collapse or expand a swimlane; collapsed lanes are remembered per grouping
+        const collapsedLanes = new Set(JSON.parse(localStorage.getItem('flatban-collapsed-lanes') || '[]'));
+
+        function toggleLane(lane) {
+            const key = boardConfig.lanes + ':' + lane.dataset.lane;
+            if (lane.classList.toggle('collapsed')) {
+                collapsedLanes.add(key);
+            } else {
+                collapsedLanes.delete(key);
+            }
+            localStorage.setItem('flatban-collapsed-lanes', JSON.stringify([...collapsedLanes]));
+        }
+
+        document.querySelectorAll('.lane').forEach(lane => {
+            lane.classList.toggle('collapsed', collapsedLanes.has(boardConfig.lanes + ':' + lane.dataset.lane));
+        });
+
+        // Tick or untick a checklist item in a task modal
+        function toggleChecklist(checkbox) {
+            fetch('/api/checklist', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    taskId: checkbox.dataset.taskId,
+                    item: Number(checkbox.dataset.item),
+                    checked: checkbox.checked
+                })
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    checkbox.checked = !checkbox.checked;
+                    alert('Failed to update checklist: ' + (data.error || 'Unknown error'));
+                }
+            })
+            .catch(error => {
+                console.error('Error updating checklist:', error);
+                checkbox.checked = !checkbox.checked;
+                alert('Failed to update checklist');
+            });
+        }
+
+        // Post a comment (or a reply to an existing thread) from a task modal
+        function postComment(form, taskId) {
+            const replyTo = form.elements.replyTo ? parseInt(form.elements.replyTo.value, 10) : NaN;
+
+            fetch('/api/comment', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    taskId: taskId,
+                    text: form.elements.text.value,
+                    replyTo: isNaN(replyTo) ? null : replyTo
+                })
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    // Reload page to show the new comment
+                    window.location.reload();
+                } else {
+                    alert('Failed to add comment: ' + (data.error || 'Unknown error'));
+                }
+            })
+            .catch(error => {
+                console.error('Error adding comment:', error);
+                alert('Failed to add comment');
             });
+        }
+
+        // Live search: hide cards that don't match and highlight the ones that do.
+        // The query is kept in sessionStorage so it survives the reloads triggered by updates.
+        const searchInput = document.getElementById('search');
+        let searchTimer = null;
+        let searchSeq = 0;
+
+        function runSearch(query) {
+            sessionStorage.setItem('flatban-search', query);
+            const seq = ++searchSeq;
+
+            if (!query.trim()) {
+                document.querySelectorAll('.task').forEach(card => {
+                    card.classList.remove('search-hidden');
+                    const titleEl = card.querySelector('.task-title');
+                    titleEl.textContent = titleEl.textContent;
+                    card.querySelector('.task-snippet').innerHTML = '';
+                });
+                return;
+            }
+
+            fetch('/api/search?q=' + encodeURIComponent(query))
+                .then(response => response.json())
+                .then(data => {
+                    // Ignore responses to queries that have since been replaced
+                    if (seq !== searchSeq || !data.success) return;
+
+                    const matches = {};
+                    data.results.forEach(result => { matches[result.id] = result; });
+
+                    document.querySelectorAll('.task').forEach(card => {
+                        const match = matches[card.dataset.taskId];
+                        const titleEl = card.querySelector('.task-title');
+                        card.classList.toggle('search-hidden', !match);
+                        titleEl.innerHTML = match ? match.title : titleEl.innerHTML;
+                        card.querySelector('.task-snippet').innerHTML = match ? match.snippet : '';
+                    });
+                })
+                .catch(error => console.error('Error searching tasks:', error));
+        }
+
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => runSearch(searchInput.value), 150);
         });
 
+        searchInput.value = sessionStorage.getItem('flatban-search') || '';
+        if (searchInput.value) {
+            runSearch(searchInput.value);
+        }
+
         // Server-Sent Events for real-time updates
         let eventSource = null;
 
@@ -1077,6 +2457,26 @@ function generateHTML(config, index, boardPath) {
                                 notificationTitle = 'Task Deleted';
                                 const shortId = data.taskId.substring(0, 7);
                                 notificationBody = \`\${shortId}: "\${data.taskTitle}"\`;
+                            } else if (data.action === 'edit') {
+                                notificationTitle = 'Task Edited';
+                                const shortId = data.taskId.substring(0, 7);
+                                notificationBody = \`\${shortId}: \${data.changes.join(', ')}\`;
+                            } else if (data.action === 'create') {
+                                notificationTitle = 'Task Created';
+                                const shortId = data.taskId.substring(0, 7);
+                                notificationBody = \`\${shortId}: "\${data.taskTitle}" in \${data.toColumnName}\`;
+                            } else if (data.action === 'lane') {
+                                notificationTitle = 'Task Moved';
+                                const shortId = data.taskId.substring(0, 7);
+                                notificationBody = \`\${shortId}: "\${data.taskTitle}" → \${data.lane.field}: \${data.lane.value || 'none'}\`;
+                            } else if (data.action === 'checklist') {
+                                notificationTitle = 'Checklist Updated';
+                                const shortId = data.taskId.substring(0, 7);
+                                notificationBody = \`\${shortId}: \${data.checked ? '☑' : '☐'} \${data.item}\`;
+                            } else if (data.action === 'comment') {
+                                notificationTitle = \`New comment from \${data.author}\`;
+                                const shortId = data.taskId.substring(0, 7);
+                                notificationBody = \`\${shortId}: \${data.text}\`;
                             } else if (data.action === 'filesystem_change') {
                                 notificationTitle = 'Board Updated';
                                 notificationBody = 'A task was created, modified, or updated';
@@ -1087,8 +2487,12 @@ function generateHTML(config, index, boardPath) {
                             showNotification(notificationTitle, notificationBody);
                         }
 
-                        // Reload to show updates
-                        window.location.reload();
+                        // Reload to show updates, unless that would throw away an edit in progress
+                        if (document.querySelector('.modal-content.editing')) {
+                            reloadPending = true;
+                        } else {
+                            window.location.reload();
+                        }
                     }
                 } catch (err) {
                     console.error('Error parsing SSE message:', err);
@@ -1113,21 +2517,17 @@ function generateHTML(config, index, boardPath) {
         });
 
         // Delete task function
-        function deleteTask(taskId, taskTitle) {
+        function deleteTask(button) {
+            const { taskId, taskTitle } = button.dataset;
+
             // Confirm deletion
-            if (!confirm(\`Are you sure you want to delete "\${taskTitle}"?\\n\\nThis action cannot be undone.\`)) {
+            if (!confirm(\`Are you sure you want to delete "\${taskTitle}"?\\n\\nIt will be moved to the trash. Restore it with: flatban restore \${taskId}\`)) {
                 return;
             }
 
             // Send delete request to server
-            fetch('/api/delete', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    taskId: taskId
-                })
+            fetch('/api/tasks/' + encodeURIComponent(taskId), {
+                method: 'DELETE'
             })
             .then(response => response.json())
             .then(data => {
@@ -1149,6 +2549,259 @@ function generateHTML(config, index, boardPath) {
 </html>`;
 }
 
+/**
+ * Render a row of columns holding the given tasks
+ * Within a swimlane the counts are for that lane, and the drop zones carry the
+ * lane so a card dropped there takes on its value.
+ */
+function renderColumns(config, index, tasks, view, lane = null) {
+    return config.columns.map(column => {
+        const columnTasks = tasks.filter(task => task.status === column.id);
+        const columnCount = countTasksInColumn(index, column.id);
+        const overLimit = column.wip_limit && columnCount > column.wip_limit;
+        const countText = column.wip_limit && !lane ? `${columnTasks.length}/${column.wip_limit}` : `${columnTasks.length}`;
+        const countTitle = lane
+            ? `${columnTasks.length} in this lane, ${columnCount}${column.wip_limit ? `/${column.wip_limit}` : ''} in the column`
+            : column.wip_limit ? `WIP limit: ${column.wip_limit}` : '';
+        return `
+        <div class="column${overLimit ? ' over-limit' : ''}" data-column-id="${escapeHtml(column.id)}">
+            <div class="column-header">
+                <span>${escapeHtml(column.name)}</span>
+                <span class="column-actions">
+                    <span class="column-count"${countTitle ? ` title="${countTitle}"` : ''}>${countText}</span>
+                    ${view.readonly ? '' : `<a href="#new-task" class="column-add" title="New task" data-column-id="${escapeHtml(column.id)}"${lane ? ` data-lane="${escapeHtml(lane.key)}"` : ''} onclick="prepareNewTask(this)">+</a>`}
+                </span>
+            </div>
+            <div class="column-tasks" data-column-id="${escapeHtml(column.id)}"${lane ? ` data-lane="${escapeHtml(lane.key)}"` : ''}>
+                <div class="drop-indicator"></div>
+                ${columnTasks.map(task => renderTask(config, index, task, view)).join('')}
+            </div>
+        </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render a task card and the modal it opens
+ */
+function renderTask(config, index, task, view) {
+    const { today, readonly } = view;
+    const sections = parseBodySections(task.body || '');
+
+    return `
+    <a href="#task-${escapeHtml(task.id)}" class="task priority-${escapeHtml(task.priority)}" title="${escapeHtml(task.id)}" draggable="${readonly ? 'false' : 'true'}" data-task-id="${escapeHtml(task.id)}" data-column-id="${escapeHtml(task.status)}">
+        <div class="task-id">${escapeHtml(task.id)}</div>
+        <div class="task-title">${escapeHtml(task.title)}</div>
+        <div class="task-snippet"></div>
+        <div class="task-meta">
+            ${task.tags && task.tags.length > 0 ? task.tags.map(tag =>
+                `<span class="task-tag">${escapeHtml(tag)}</span>`
+            ).join('') : ''}
+            ${task.assigned ? `<span class="task-assigned">@${escapeHtml(task.assigned)}</span>` : ''}
+            ${getOpenBlockers(index, config, task.id).map(blockerId => `<span class="task-blocked" title="Blocked by ${escapeHtml(blockerId)}: ${escapeHtml(index.tasks[blockerId].title)}" data-task-id="${escapeHtml(blockerId)}" onclick="event.preventDefault(); event.stopPropagation(); window.location.hash = 'task-' + this.dataset.taskId;">⛔ ${escapeHtml(blockerId)}</span>`).join('')}
+            ${task.due ? `<span class="task-due${isOverdue(task, config, today) ? ' overdue' : ''}" title="Due ${escapeHtml(task.due)}">${escapeHtml(formatDueDate(task.due))}</span>` : ''}
+        </div>
+        ${task.checklist ? `
+        <div class="task-progress" title="Checklist: ${formatChecklistProgress(task)} done">
+            <div class="task-progress-bar"><div style="width: ${Math.round(task.checklist.done / task.checklist.total * 100)}%"></div></div>
+            <span>${formatChecklistProgress(task)}</span>
+        </div>
+        ` : ''}
+    </a>
+
+    <!-- Modal for this task -->
+    <div id="task-${escapeHtml(task.id)}" class="modal">
+        <div class="modal-content">
+            <a href="#" class="modal-close">&times;</a>
+            <div class="modal-header">
+                <div class="modal-id">${escapeHtml(task.id)}</div>
+                <h2>${escapeHtml(task.title)}</h2>
+            </div>
+            <div class="modal-meta">
+                <div class="meta-item">
+                    <strong>Status:</strong> ${escapeHtml(task.status)}
+                </div>
+                <div class="meta-item">
+                    <strong>Priority:</strong>
+                    <span class="priority-badge priority-${escapeHtml(task.priority)}">
+                        ${escapeHtml(task.priority)}
+                    </span>
+                </div>
+                ${task.tags && task.tags.length > 0 ? `
+                <div class="meta-item">
+                    <strong>Tags:</strong>
+                    ${task.tags.map(tag => `<span class="task-tag">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+                ` : ''}
+                ${task.assigned ? `
+                <div class="meta-item">
+                    <strong>Assigned:</strong> @${escapeHtml(task.assigned)}
+                </div>
+                ` : ''}
+                ${task.branch ? `
+                <div class="meta-item">
+                    <strong>Branch:</strong> <code class="task-branch">${escapeHtml(task.branch)}</code>
+                </div>
+                ` : ''}
+                ${task.blocked_by && task.blocked_by.length > 0 ? `
+                <div class="meta-item">
+                    <strong>Blocked by:</strong>
+                    ${task.blocked_by.map(blockerId => index.tasks[blockerId]
+                        ? `<a class="task-blocked${getOpenBlockers(index, config, task.id).includes(blockerId) ? '' : ' resolved'}" href="#task-${escapeHtml(blockerId)}" title="${escapeHtml(index.tasks[blockerId].title)}">${escapeHtml(blockerId)}</a>`
+                        : `<span class="task-blocked resolved">${escapeHtml(blockerId)}</span>`
+                    ).join(' ')}
+                </div>
+                ` : ''}
+                ${task.due ? `
+                <div class="meta-item">
+                    <strong>Due:</strong> <span class="task-due${isOverdue(task, config, today) ? ' overdue' : ''}">${escapeHtml(task.due)}</span>
+                </div>
+                ` : ''}
+                ${config.fields.filter(field => task.fields && task.fields[field.id] !== undefined).map(field => `
+                <div class="meta-item">
+                    <strong>${escapeHtml(field.name)}:</strong> ${escapeHtml(formatFieldValue(task.fields[field.id]))}
+                </div>
+                `).join('')}
+                <div class="meta-item">
+                    <strong>Created:</strong> ${formatDatetime(task.created)}
+                </div>
+                <div class="meta-item">
+                    <strong>Modified:</strong> ${formatDatetime(task.modified)}
+                </div>
+            </div>
+            <div class="modal-body">${formatMarkdown(task.body || '', readonly ? null : task.id)}</div>
+            ${readonly ? '' : `
+            <form class="task-form task-edit-form" onsubmit="saveTask(this, '${escapeHtml(task.id)}'); return false;">
+                <input type="hidden" name="baseModified" value="${escapeHtml(task.mtime || '')}">
+                <input type="text" name="title" value="${escapeHtml(task.title)}" placeholder="Title" required>
+                <div class="task-form-row">
+                    <label>Priority
+                        <select name="priority">
+                            ${config.priorities.map(priority => `<option value="${escapeHtml(priority)}"${priority === task.priority ? ' selected' : ''}>${escapeHtml(priority)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Assigned
+                        <input type="text" name="assigned" value="${escapeHtml(task.assigned || '')}" placeholder="Nobody">
+                    </label>
+                    <label>Tags
+                        <input type="text" name="tags" value="${escapeHtml((task.tags || []).join(', '))}" placeholder="Comma-separated">
+                    </label>
+                </div>
+                ${['description', 'notes'].map(section => `
+                <div class="markdown-editor">
+                    <label>${section === 'description' ? 'Description' : 'Notes'}
+                        <textarea name="${section}" rows="8" oninput="schedulePreview(this)">${escapeHtml(sections[section])}</textarea>
+                    </label>
+                    <div class="markdown-preview">${formatMarkdown(sections[section])}</div>
+                </div>
+                `).join('')}
+                <div class="comment-form-actions">
+                    <button type="button" class="btn-cancel" onclick="cancelEdit(this)">Cancel</button>
+                    <button type="submit" class="btn-create">Save</button>
+                </div>
+            </form>
+            <form class="comment-form" onsubmit="postComment(this, '${escapeHtml(task.id)}'); return false;">
+                <textarea name="text" rows="3" placeholder="Add a comment..." required></textarea>
+                <div class="comment-form-actions">
+                    ${findCommentThreads(task.body || '').length > 0 ? `
+                    <select name="replyTo">
+                        <option value="">New comment</option>
+                        ${findCommentThreads(task.body || '').map((thread, i) => `<option value="${i + 1}">Reply to ${escapeHtml(thread.author)} (${escapeHtml(thread.datetime)})</option>`).join('')}
+                    </select>
+                    ` : ''}
+                    <button type="submit" class="btn-comment">Comment</button>
+                </div>
+            </form>
+            <div class="modal-actions">
+                <button class="btn-edit" onclick="editTask(this); return false;">
+                    Edit
+                </button>
+                <button class="btn-delete" data-task-id="${escapeHtml(task.id)}" data-task-title="${escapeHtml(task.title)}" onclick="deleteTask(this); return false;">
+                    Delete Task
+                </button>
+            </div>
+            `}
+        </div>
+    </div>
+    `;
+}
+
+/**
+ * Login page for servers started with an access token
+ */
+function generateLoginHTML(config, failed) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(config.name)} - Flatban</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: #f4f5f7;
+            color: #172b4d;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            height: 100vh;
+            margin: 0;
+        }
+
+        form {
+            background: white;
+            padding: 24px;
+            border-radius: 8px;
+            box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            width: 320px;
+        }
+
+        h1 {
+            font-size: 18px;
+            margin: 0;
+        }
+
+        p {
+            font-size: 13px;
+            color: #5e6c84;
+            margin: 0;
+        }
+
+        .error {
+            color: #e74c3c;
+        }
+
+        input,
+        button {
+            font-size: 14px;
+            padding: 8px;
+            border-radius: 4px;
+            border: 1px solid #dfe1e6;
+        }
+
+        button {
+            background: #0052cc;
+            color: white;
+            border: none;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <form method="post" action="/login">
+        <h1>${escapeHtml(config.name)}</h1>
+        <p>This board needs the access token printed by <code>flatban serve</code>.</p>
+        ${failed ? '<p class="error">That token is not valid.</p>' : ''}
+        <input type="password" name="token" placeholder="Access token" autofocus required>
+        <button type="submit">Log in</button>
+    </form>
+</body>
+</html>`;
+}
+
 function escapeHtml(text) {
     if (!text) return '';
     return text
@@ -1159,18 +2812,46 @@ function escapeHtml(text) {
         .replace(/'/g, '&#039;');
 }
 
-function formatMarkdown(text) {
+// Links and images keep relative, http(s) and mailto URLs; "javascript:" and other schemes,
+// including ones hidden behind an entity such as "&#58;", are dropped
+const SAFE_URL = /^(?:https?:|mailto:|[^:/?#&]*(?:[/?#]|$))/i;
+
+/**
+ * Markdown renderer for task text, which can come from anyone who can edit the
+ * board: raw HTML is shown as text, and links and images with unsafe URLs are
+ * shown without them
+ */
+const markdown = new Marked({
+    renderer: {
+        html(html) {
+            return escapeHtml(html);
+        },
+        link(href, title, text) {
+            return SAFE_URL.test(href) ? false : text;
+        },
+        image(href, title, text) {
+            return SAFE_URL.test(href) ? false : escapeHtml(text);
+        }
+    }
+});
+
+function formatMarkdown(text, taskId = null) {
     if (!text) return '';
 
     // Remove excessive blank lines
     text = text.trim().replace(/\n{3,}/g, '\n\n');
 
-    // Use marked to convert markdown to HTML
-    // marked automatically escapes HTML for security
-    return marked(text, {
-        headerIds: false,
-        mangle: false
+    const html = markdown.parse(text);
+
+    if (!taskId) return html;
+
+    // Make task list checkboxes clickable. marked numbers them in document order,
+    // the same order findChecklistItems uses, so the nth box is item n.
+    let item = 0;
+    return html.replace(/<input (checked="" )?disabled="" type="checkbox">/g, (match, checked) => {
+        item++;
+        return `<input type="checkbox" class="checklist-item"${checked ? ' checked' : ''} data-task-id="${escapeHtml(taskId)}" data-item="${item}" onchange="toggleChecklist(this)">`;
     });
 }
 
-module.exports = { createServer };
+module.exports = { createServer, boardUrl, isLoopbackHost };
@@ -0,0 +1,813 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    generateTaskId,
+    parseDueDate,
+    fillTemplate,
+    normalizeFieldValue,
+    formatFieldValue,
+    slugify,
+    parseFrontmatter,
+    parseBodySections,
+    replaceSection,
+    modifyTaskFile,
+    addHistoryEntry,
+    buildIndexEntry,
+    checkWipLimit,
+    getOpenBlockers,
+    setChecklistItem,
+    countChecklist,
+    getCurrentUser,
+    addComment,
+    rankBetween,
+    getColumnTasks,
+    LANE_FIELDS,
+    getLaneKey
+} = require('./utils');
+const { setField, removeField } = require('./frontmatter');
+
+// Tasks leaving these columns are starting work, so their blockers must be finished
+const UNSTARTED_COLUMNS = ['backlog', 'todo'];
+
+// Deleted tasks live here until restored. It is not a column, so sync never indexes it.
+const TRASH_DIR = '.trash';
+
+function getTrashDir(boardPath) {
+    return path.join(boardPath, '.flatban', TRASH_DIR);
+}
+
+/**
+ * Work out the rank that puts a task at a position in a column
+ * position is { top: true }, { before: id }, { after: id } or {} for the bottom.
+ * Unranked tasks sort after ranked ones, so only those that must stay above the
+ * position are given ranks (in their current order). The bottom of a column
+ * that still has unranked tasks is left unranked (rank null): a new task sorts
+ * last by creation date without rewriting the others. Tasks whose ranks leave
+ * no room at the position (duplicates from a merge) are re-ranked after it.
+ * Those files and index entries are updated.
+ * Returns { rank, ranked } where ranked lists the IDs of the tasks ranked on the way.
+ */
+function rankForPosition(index, columnId, position, taskId, boardPath) {
+    const tasks = getColumnTasks(index, columnId).filter(task => task.id !== taskId);
+
+    const reference = position.before || position.after;
+    const refIdx = reference ? tasks.findIndex(task => task.id === reference) : -1;
+    if (reference && refIdx === -1) {
+        throw new Error(reference === taskId
+            ? 'A task cannot be placed relative to itself'
+            : `Task ${reference} is not in column ${columnId}`);
+    }
+
+    // The task goes just before tasks[at]
+    const at = position.top ? 0 : position.before ? refIdx : position.after ? refIdx + 1 : tasks.length;
+
+    if (!reference && !position.top && tasks.some(task => !task.rank)) {
+        return { rank: null, ranked: [] };
+    }
+
+    const ranked = [];
+    const setRank = (task, rank) => {
+        task.rank = rank;
+        modifyTaskFile(path.join(boardPath, task.file), doc => setField(doc, 'rank', rank));
+        index.tasks[task.id].rank = rank;
+        index.tasks[task.id].modified = fs.statSync(path.join(boardPath, task.file)).mtime.toISOString();
+        ranked.push(task.id);
+    };
+
+    let previous = null;
+    for (const task of tasks.slice(0, at)) {
+        if (!task.rank) {
+            setRank(task, rankBetween(previous, null));
+        }
+        previous = task.rank;
+    }
+
+    // Tasks below the position with no rank left between them and previous
+    let end = at;
+    while (end < tasks.length && tasks[end].rank && rankBetween(previous, tasks[end].rank) === null) {
+        end++;
+    }
+    const next = end < tasks.length ? tasks[end].rank || null : null;
+
+    const rank = rankBetween(previous, next);
+    let last = rank;
+    for (const task of tasks.slice(at, end)) {
+        setRank(task, rankBetween(last, next));
+        last = task.rank;
+    }
+
+    return { rank, ranked };
+}
+
+/**
+ * Create a task file from the board's template and add it to the index
+ * values are { title, column, priority, tags, assigned, description, notes,
+ * due, fields }; due and custom field values are validated and normalized the
+ * same way for every caller. Refuses to exceed the column's WIP limit unless
+ * options.force is set. The caller is responsible for saving the index.
+ * Returns { taskId, task, ranked } (see rankForPosition).
+ */
+function createTask(config, index, values, boardPath, options = {}) {
+    const title = (values.title || '').trim();
+    if (!title) {
+        throw new Error('Task title required');
+    }
+
+    const priority = values.priority || 'medium';
+    const column = values.column || 'todo';
+    const tags = values.tags || [];
+    const assigned = values.assigned || '';
+
+    // Validate column
+    const validColumns = config.columns.map(c => c.id);
+    if (!validColumns.includes(column)) {
+        throw new Error(`Invalid column: ${column}. Valid columns: ${validColumns.join(', ')}`);
+    }
+
+    // Respect the column's WIP limit
+    const wipError = options.force ? null : checkWipLimit(config, index, column);
+    if (wipError) {
+        const err = new Error(wipError);
+        err.code = 'WIP_LIMIT';
+        throw err;
+    }
+
+    // Validate priority
+    if (!config.priorities.includes(priority)) {
+        throw new Error(`Invalid priority: ${priority}. Valid priorities: ${config.priorities.join(', ')}`);
+    }
+
+    // Resolve due date (YYYY-MM-DD, today, tomorrow, +3d, +2w)
+    const due = values.due !== undefined ? parseDueDate(values.due) : '';
+
+    // Validate custom fields declared in config.yaml
+    const customFields = {};
+    for (const field of config.fields) {
+        const value = (values.fields || {})[field.id];
+
+        if (value === undefined || value === true) {
+            if (field.required) {
+                throw new Error(`Missing required field: ${field.id}`);
+            }
+            continue;
+        }
+
+        customFields[field.id] = normalizeFieldValue(field, value);
+    }
+
+    // Generate unique task ID
+    const taskId = generateTaskId(index);
+
+    // Create filename
+    const slug = slugify(title);
+    const filename = `.flatban/${column}/${taskId}-${slug}.md`;
+    const filepath = path.join(boardPath, filename);
+
+    // Load template
+    const templatePath = path.join(boardPath, '.flatban', 'template.md');
+    let template = fs.readFileSync(templatePath, 'utf8');
+
+    // New tasks go to the bottom of their column
+    const { rank, ranked } = rankForPosition(index, column, {}, null, boardPath);
+
+    // Fill template
+    const datetime = new Date().toISOString().replace('T', ' ').substring(0, 16);
+
+    template = fillTemplate(template, {
+        ...customFields,
+        id: taskId,
+        title: title,
+        priority: priority,
+        tags: tags,
+        assigned: assigned,
+        datetime: datetime,
+        due: due
+    }, { ...(due ? { due } : {}), ...(rank ? { rank } : {}), ...customFields });
+
+    // Add description and notes content if provided
+    if (values.description) {
+        template = template.replace('## Description\n\n\n', () => `## Description\n\n${values.description}\n`);
+    }
+    if (values.notes) {
+        template = template.replace('## Notes\n\n\n', () => `## Notes\n\n${values.notes}\n`);
+    }
+
+    // Write file
+    fs.writeFileSync(filepath, template);
+
+    // Get file stats
+    const stats = fs.statSync(filepath);
+
+    // Update index
+    const task = {
+        file: filename,
+        title: title,
+        status: column,
+        priority: priority,
+        tags: tags,
+        assigned: assigned,
+        // The file was just written; birthtime is not recorded on every filesystem
+        created: stats.mtime.toISOString(),
+        modified: stats.mtime.toISOString()
+    };
+
+    if (rank) {
+        task.rank = rank;
+    }
+
+    if (due) {
+        task.due = due;
+    }
+
+    // The description may come with checklist items
+    const checklist = countChecklist(parseFrontmatter(template).body);
+    if (checklist.total > 0) {
+        task.checklist = checklist;
+    }
+
+    if (Object.keys(customFields).length > 0) {
+        task.fields = customFields;
+    }
+
+    index.tasks[taskId] = task;
+    index.columns[column] = (index.columns[column] || 0) + 1;
+
+    return { taskId, task, ranked };
+}
+
+/**
+ * Update a task's title, priority, tags, assignee, due date, custom fields, git
+ * branch, description or notes
+ * updates.fields maps field IDs to values; an empty due date or field value
+ * clears it. Only keys present in updates that differ from the task are
+ * rewritten, and each change is recorded in History. options.baseModified is the file's mtime
+ * when the caller read it; if the file has changed since, a CONFLICT error is
+ * thrown unless options.force is set. The caller is responsible for saving the index.
+ * Returns { task, changes }.
+ */
+function updateTask(config, index, taskId, updates, boardPath, options = {}) {
+    const task = index.tasks[taskId];
+    if (!task) {
+        throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const taskPath = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskPath)) {
+        const err = new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    if (options.baseModified && !options.force) {
+        const mtime = fs.statSync(taskPath).mtime.toISOString();
+        if (mtime !== options.baseModified) {
+            const err = new Error(`${taskId} was changed on disk after it was opened`);
+            err.code = 'CONFLICT';
+            throw err;
+        }
+    }
+
+    const sections = parseBodySections(parseFrontmatter(fs.readFileSync(taskPath, 'utf8')).body);
+    const fields = {};
+    const changes = [];
+
+    if (updates.title !== undefined) {
+        const title = updates.title.trim();
+        if (!title) {
+            throw new Error('Task title required');
+        }
+        if (title !== task.title) {
+            fields.title = title;
+            changes.push(`Title changed from "${task.title}" to "${title}"`);
+        }
+    }
+
+    if (updates.priority !== undefined && updates.priority !== task.priority) {
+        if (!config.priorities.includes(updates.priority)) {
+            throw new Error(`Invalid priority: ${updates.priority}. Valid priorities: ${config.priorities.join(', ')}`);
+        }
+        fields.priority = updates.priority;
+        changes.push(`Priority changed from ${task.priority} to ${updates.priority}`);
+    }
+
+    if (updates.tags !== undefined) {
+        const oldTags = task.tags || [];
+        const tags = [...new Set(updates.tags.map(tag => tag.trim()).filter(Boolean))];
+        if (JSON.stringify(tags) !== JSON.stringify(oldTags)) {
+            fields.tags = tags;
+            for (const tag of tags.filter(tag => !oldTags.includes(tag))) {
+                changes.push(`Added tag ${tag}`);
+            }
+            for (const tag of oldTags.filter(tag => !tags.includes(tag))) {
+                changes.push(`Removed tag ${tag}`);
+            }
+        }
+    }
+
+    if (updates.assigned !== undefined) {
+        const assigned = updates.assigned.trim();
+        if (assigned !== (task.assigned || '')) {
+            fields.assigned = assigned;
+            changes.push(assigned ? `Assigned to ${assigned}` : `Unassigned from ${task.assigned}`);
+        }
+    }
+
+    if (updates.due !== undefined) {
+        const due = updates.due ? parseDueDate(updates.due) : '';
+        if (due !== (task.due || '')) {
+            fields.due = due || null;
+            changes.push(due ? `Due date set to ${due}` : 'Due date cleared');
+        }
+    }
+
+    // Custom fields are top-level frontmatter keys, kept under fields in the index
+    const customFields = {};
+    for (const [id, value] of Object.entries(updates.fields || {})) {
+        const field = config.fields.find(f => f.id === id);
+        if (!field) {
+            throw new Error(`Unknown field: ${id}. Fields are declared under fields: in config.yaml`);
+        }
+        const oldValue = (task.fields || {})[id];
+
+        if (value === '' || value === null) {
+            if (field.required) {
+                throw new Error(`${id} is required and cannot be cleared`);
+            }
+            if (oldValue !== undefined) {
+                customFields[id] = null;
+                changes.push(`Cleared ${field.name}`);
+            }
+            continue;
+        }
+
+        const newValue = normalizeFieldValue(field, value);
+        if (JSON.stringify(newValue) !== JSON.stringify(oldValue)) {
+            customFields[id] = newValue;
+            changes.push(`${field.name} set to ${formatFieldValue(newValue)}`);
+        }
+    }
+
+    if (updates.branch !== undefined) {
+        const branch = updates.branch.trim();
+        if (branch !== (task.branch || '')) {
+            fields.branch = branch;
+            changes.push(branch ? `Branch set to ${branch}` : `Unlinked from branch ${task.branch}`);
+        }
+    }
+
+    const descriptionChanged = updates.description !== undefined && updates.description.trim() !== sections.description;
+    const notesChanged = updates.notes !== undefined && updates.notes.trim() !== sections.notes;
+    if (descriptionChanged) changes.push('Description updated');
+    if (notesChanged) changes.push('Notes updated');
+
+    if (changes.length === 0) {
+        return { task, changes };
+    }
+
+    const doc = modifyTaskFile(taskPath, doc => {
+        for (const [key, value] of Object.entries({ ...fields, ...customFields })) {
+            if (value === null) {
+                removeField(doc, key);
+            } else {
+                setField(doc, key, value);
+            }
+        }
+        if (descriptionChanged) {
+            doc.body = replaceSection(doc.body, 'Description', updates.description, 'Notes');
+        }
+        if (notesChanged) {
+            doc.body = replaceSection(doc.body, 'Notes', updates.notes, /^## Comments\s*$/m.test(doc.body) ? 'Comments' : 'History');
+        }
+        for (const change of changes) {
+            addHistoryEntry(doc, change);
+        }
+    });
+
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === null) {
+            delete task[key];
+        } else {
+            task[key] = value;
+        }
+    }
+    if (Object.keys(customFields).length > 0) {
+        task.fields = Object.assign({}, task.fields);
+        for (const [key, value] of Object.entries(customFields)) {
+            if (value === null) {
+                delete task.fields[key];
+            } else {
+                task.fields[key] = value;
+            }
+        }
+    }
+
+    // The description may add or remove checklist items
+    const checklist = countChecklist(doc.body);
+    if (checklist.total > 0) {
+        task.checklist = checklist;
+    } else {
+        delete task.checklist;
+    }
+    task.modified = fs.statSync(taskPath).mtime.toISOString();
+
+    return { task, changes };
+}
+
+/**
+ * Throw unless a task may move to another column
+ * The column must be under its WIP limit, and a task being started (leaving
+ * backlog or todo) must have no unfinished blockers.
+ */
+function checkMoveAllowed(config, index, taskId, targetColumn) {
+    const wipError = checkWipLimit(config, index, targetColumn);
+    if (wipError) {
+        const err = new Error(wipError);
+        err.code = 'WIP_LIMIT';
+        throw err;
+    }
+
+    const oldColumn = index.tasks[taskId].status;
+    const starting = UNSTARTED_COLUMNS.includes(oldColumn) && !UNSTARTED_COLUMNS.includes(targetColumn);
+    const openBlockers = starting ? getOpenBlockers(index, config, taskId) : [];
+    if (openBlockers.length > 0) {
+        const err = new Error(`${taskId} is blocked by unfinished task(s): ${openBlockers.join(', ')}`);
+        err.code = 'BLOCKED';
+        err.blockers = openBlockers;
+        throw err;
+    }
+}
+
+/**
+ * Move a task to another column, append a History entry and update the index
+ * Refuses to exceed the target column's WIP limit, or to start a task with open
+ * blockers, unless options.force is set. options.position ({ top }, { before: id }
+ * or { after: id }) places the task in the column, which also reorders a task
+ * within its own column; otherwise a moved task goes to the bottom.
+ * ranked in the result lists other tasks whose files got a rank on the way.
+ * The caller is responsible for saving the index.
+ */
+function moveTask(config, index, taskId, targetColumn, boardPath, options = {}) {
+    const task = index.tasks[taskId];
+    if (!task) {
+        throw new Error(`Task not found: ${taskId}`);
+    }
+
+    // Validate target column
+    const validColumns = config.columns.map(c => c.id);
+    if (!validColumns.includes(targetColumn)) {
+        throw new Error(`Invalid column: ${targetColumn}. Valid columns: ${validColumns.join(', ')}`);
+    }
+
+    const oldColumn = task.status;
+    const targetColumnName = config.columns.find(c => c.id === targetColumn).name;
+
+    const position = options.position || {};
+    const positioned = !!(position.top || position.before || position.after);
+
+    // Already in the target column: only reorder, if a position was given
+    if (oldColumn === targetColumn) {
+        if (!positioned) {
+            return { task, oldColumn, targetColumnName, moved: false, reordered: false, ranked: [] };
+        }
+
+        const taskPath = path.join(boardPath, task.file);
+        if (!fs.existsSync(taskPath)) {
+            const err = new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+            err.code = 'NOT_FOUND';
+            throw err;
+        }
+
+        const { rank, ranked } = rankForPosition(index, targetColumn, position, taskId, boardPath);
+        modifyTaskFile(taskPath, doc => setField(doc, 'rank', rank));
+        task.rank = rank;
+        task.modified = fs.statSync(taskPath).mtime.toISOString();
+
+        return { task, oldColumn, targetColumnName, moved: false, reordered: true, ranked };
+    }
+
+    if (!options.force) {
+        checkMoveAllowed(config, index, taskId, targetColumn);
+    }
+
+    // Move file
+    const oldPath = path.join(boardPath, task.file);
+    const newFilename = path.basename(task.file);
+    const newPath = path.join(boardPath, '.flatban', targetColumn, newFilename);
+
+    if (!fs.existsSync(oldPath)) {
+        const err = new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    const { rank, ranked } = rankForPosition(index, targetColumn, position, taskId, boardPath);
+
+    fs.renameSync(oldPath, newPath);
+
+    // Update task history and its place in the new column
+    modifyTaskFile(newPath, doc => {
+        if (rank) {
+            setField(doc, 'rank', rank);
+        } else {
+            removeField(doc, 'rank');
+        }
+        addHistoryEntry(doc, `Moved to ${targetColumnName}`);
+    });
+
+    // Update index
+    task.file = `.flatban/${targetColumn}/${newFilename}`;
+    task.status = targetColumn;
+    if (rank) {
+        task.rank = rank;
+    } else {
+        delete task.rank;
+    }
+
+    const stats = fs.statSync(newPath);
+    task.modified = stats.mtime.toISOString();
+
+    index.columns[oldColumn]--;
+    index.columns[targetColumn] = (index.columns[targetColumn] || 0) + 1;
+
+    return { task, oldColumn, targetColumnName, moved: true, reordered: false, ranked };
+}
+
+/**
+ * Move a task into another swimlane by changing the field the lanes are grouped by
+ * For tag lanes the task's lane tag (its first tag) is replaced by the new one;
+ * an empty value unassigns, or removes the lane tag. The caller is responsible
+ * for saving the index.
+ */
+function setLaneValue(config, index, taskId, laneBy, value, boardPath) {
+    const task = index.tasks[taskId];
+    if (!task) {
+        throw new Error(`Task not found: ${taskId}`);
+    }
+
+    if (!LANE_FIELDS.includes(laneBy)) {
+        throw new Error(`Invalid lanes: ${laneBy}. Valid lanes: ${LANE_FIELDS.join(', ')}`);
+    }
+
+    if (laneBy === 'priority' && !config.priorities.includes(value)) {
+        throw new Error(`Invalid priority: ${value}. Valid priorities: ${config.priorities.join(', ')}`);
+    }
+
+    const current = getLaneKey(task, laneBy);
+    if (value === current) {
+        return { task, changed: false, changes: [] };
+    }
+
+    const taskPath = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskPath)) {
+        const err = new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    let key = laneBy;
+    let newValue = value;
+    const changes = [];
+
+    if (laneBy === 'assigned') {
+        changes.push(value ? `Assigned to ${value}` : `Unassigned from ${current}`);
+    } else if (laneBy === 'priority') {
+        changes.push(`Priority changed from ${current} to ${value}`);
+    } else {
+        key = 'tags';
+        newValue = (task.tags || []).slice(current ? 1 : 0).filter(tag => tag !== value);
+        if (current) changes.push(`Removed tag ${current}`);
+        if (value) {
+            newValue.unshift(value);
+            changes.push(`Added tag ${value}`);
+        }
+    }
+
+    modifyTaskFile(taskPath, doc => {
+        setField(doc, key, newValue);
+        for (const change of changes) {
+            addHistoryEntry(doc, change);
+        }
+    });
+
+    task[key] = newValue;
+    task.modified = fs.statSync(taskPath).mtime.toISOString();
+
+    return { task, changed: true, changes };
+}
+
+/**
+ * Check or uncheck the nth (1-based) checklist item of a task and update the index
+ * The caller is responsible for saving the index.
+ */
+function toggleChecklistItem(index, taskId, n, checked, boardPath) {
+    const task = index.tasks[taskId];
+    if (!task) {
+        throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const taskPath = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskPath)) {
+        const err = new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    // Leave the file alone when the item is already in the requested state
+    const { body } = parseFrontmatter(fs.readFileSync(taskPath, 'utf8'));
+    const { item } = setChecklistItem(body, n, checked);
+    if (item.checked === checked) {
+        return { task, item, changed: false };
+    }
+
+    const doc = modifyTaskFile(taskPath, doc => {
+        doc.body = setChecklistItem(doc.body, n, checked).body;
+        addHistoryEntry(doc, `${checked ? 'Checked' : 'Unchecked'} "${item.text}"`);
+    });
+
+    task.checklist = countChecklist(doc.body);
+    task.modified = fs.statSync(taskPath).mtime.toISOString();
+
+    return { task, item, changed: true };
+}
+
+/**
+ * Add a comment (or with options.replyTo, a reply) to a task and update the index
+ * The author defaults to the current git/system user.
+ * The caller is responsible for saving the index.
+ */
+function commentOnTask(index, taskId, text, boardPath, options = {}) {
+    const task = index.tasks[taskId];
+    if (!task) {
+        throw new Error(`Task not found: ${taskId}`);
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Comment cannot be empty');
+    }
+
+    const taskPath = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskPath)) {
+        const err = new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+        err.code = 'NOT_FOUND';
+        throw err;
+    }
+
+    const author = options.author || getCurrentUser();
+    modifyTaskFile(taskPath, doc => {
+        addComment(doc, author, text, options.replyTo || null);
+    });
+
+    task.modified = fs.statSync(taskPath).mtime.toISOString();
+
+    return { task, author };
+}
+
+/**
+ * Move a task into the trash and drop it from the index
+ * The caller is responsible for saving the index.
+ */
+function trashTask(config, index, taskId, boardPath) {
+    const task = index.tasks[taskId];
+    if (!task) {
+        throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const taskPath = path.join(boardPath, task.file);
+    if (!fs.existsSync(taskPath)) {
+        throw new Error(`Task file not found: ${task.file}. Run 'flatban sync' to rebuild index.`);
+    }
+
+    const trashDir = getTrashDir(boardPath);
+    if (!fs.existsSync(trashDir)) {
+        fs.mkdirSync(trashDir, { recursive: true });
+    }
+
+    // Remember where the task came from so it can be restored
+    const columnName = config.columns.find(c => c.id === task.status)?.name || task.status;
+    modifyTaskFile(taskPath, doc => {
+        setField(doc, 'trashed_from', task.status);
+        addHistoryEntry(doc, `Moved to Trash from ${columnName}`);
+    });
+
+    const trashPath = path.join(trashDir, path.basename(task.file));
+    fs.renameSync(taskPath, trashPath);
+
+    delete index.tasks[taskId];
+    index.columns[task.status]--;
+
+    return { task, trashPath };
+}
+
+/**
+ * List tasks in the trash, most recently deleted first
+ */
+function listTrash(boardPath) {
+    const trashDir = getTrashDir(boardPath);
+    if (!fs.existsSync(trashDir)) {
+        return [];
+    }
+
+    const entries = [];
+
+    for (const filename of fs.readdirSync(trashDir).filter(f => f.endsWith('.md'))) {
+        const filePath = path.join(trashDir, filename);
+        try {
+            const { frontmatter } = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+            if (!frontmatter.id) continue;
+
+            entries.push({
+                id: frontmatter.id,
+                title: frontmatter.title || 'Untitled',
+                column: frontmatter.trashed_from || '',
+                external_id: frontmatter.external_id || null,
+                file: filePath,
+                trashed: fs.statSync(filePath).mtime.toISOString()
+            });
+        } catch (err) {
+            console.error(`Warning: Could not parse ${filePath}: ${err.message}`);
+        }
+    }
+
+    entries.sort((a, b) => new Date(b.trashed) - new Date(a.trashed));
+
+    return entries;
+}
+
+/**
+ * Find a trashed task by partial ID
+ */
+function findTrashedTask(boardPath, partialId) {
+    const matches = listTrash(boardPath).filter(entry => entry.id.startsWith(partialId));
+
+    if (matches.length === 0) {
+        throw new Error(`No trashed task found matching: ${partialId}`);
+    }
+
+    if (matches.length > 1) {
+        throw new Error(`Multiple trashed tasks found matching: ${partialId}\n${matches.map(m => m.id).join(', ')}`);
+    }
+
+    return matches[0];
+}
+
+/**
+ * Move a trashed task back into its original column (or targetColumn) and re-index it
+ * The caller is responsible for saving the index.
+ */
+function restoreTask(config, index, partialId, boardPath, targetColumn = null) {
+    const entry = findTrashedTask(boardPath, partialId);
+    const column = targetColumn || entry.column;
+
+    const validColumns = config.columns.map(c => c.id);
+    if (!validColumns.includes(column)) {
+        throw new Error(`Cannot restore to column "${column}". Valid columns: ${validColumns.join(', ')}`);
+    }
+
+    if (index.tasks[entry.id]) {
+        throw new Error(`A task with ID ${entry.id} already exists on the board`);
+    }
+
+    const columnName = config.columns.find(c => c.id === column).name;
+    modifyTaskFile(entry.file, doc => {
+        removeField(doc, 'trashed_from');
+        addHistoryEntry(doc, `Restored to ${columnName}`);
+    });
+
+    const filename = path.basename(entry.file);
+    const newPath = path.join(boardPath, '.flatban', column, filename);
+    fs.renameSync(entry.file, newPath);
+
+    index.tasks[entry.id] = buildIndexEntry(config, boardPath, newPath, column).entry;
+
+    index.columns[column] = (index.columns[column] || 0) + 1;
+
+    return { taskId: entry.id, column };
+}
+
+/**
+ * Permanently delete everything in the trash
+ * Returns the deleted entries, as listed by listTrash.
+ */
+function emptyTrash(boardPath) {
+    const entries = listTrash(boardPath);
+    for (const entry of entries) {
+        fs.unlinkSync(entry.file);
+    }
+    return entries;
+}
+
+module.exports = {
+    TRASH_DIR,
+    rankForPosition,
+    createTask,
+    updateTask,
+    checkMoveAllowed,
+    moveTask,
+    setLaneValue,
+    toggleChecklistItem,
+    commentOnTask,
+    trashTask,
+    listTrash,
+    restoreTask,
+    emptyTrash
+};
@@ -1,5 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { execSync } = require('child_process');
+const {
+    parseDocument,
+    serializeDocument,
+    setField,
+    removeField,
+    toObject
+} = require('./frontmatter');
 
 // Constants
 const EPOCH_2000 = 946684800; // Unix timestamp for 2000-01-01 00:00:00 UTC
@@ -47,6 +55,22 @@ function parseSimpleYaml(content) {
             enabled: false,
             all_changes: false,
             notify_columns: []
+        },
+        fields: [],
+        lanes: null,
+        webhooks: [],
+        git: {
+            auto_commit: false,
+            author: null,
+            skip_index: false,
+            batch_seconds: 0,
+            branch_pattern: '{id}-{slug}',
+            start_column: null,
+            finish_column: null
+        },
+        hooks: {
+            closes: null,
+            refs: null
         }
     };
 
@@ -61,26 +85,96 @@ function parseSimpleYaml(content) {
         if (currentSection === null && /^name:\s*"?([^"]+)"?/.test(trimmed)) {
             const match = trimmed.match(/^name:\s*"?([^"]+)"?/);
             config.name = match[1].replace(/"/g, '');
+        } else if (!/^\s/.test(line) && /^lanes:\s*"?(\w+)"?/.test(trimmed)) {
+            // Top-level default swimlanes; ends whatever section came before
+            const match = trimmed.match(/^lanes:\s*"?(\w+)"?/);
+            config.lanes = match[1] === 'none' ? null : match[1];
+            currentSection = null;
         } else if (trimmed === 'columns:') {
             currentSection = 'columns';
         } else if (trimmed === 'priorities:') {
             currentSection = 'priorities';
         } else if (trimmed === 'notifications:') {
             currentSection = 'notifications';
+        } else if (trimmed === 'fields:') {
+            currentSection = 'fields';
+        } else if (trimmed === 'webhooks:') {
+            currentSection = 'webhooks';
+        } else if (trimmed === 'git:') {
+            currentSection = 'git';
+        } else if (trimmed === 'hooks:') {
+            currentSection = 'hooks';
         } else if (currentSection === 'columns' && /^-\s+id:\s+(\S+)/.test(trimmed)) {
             const match = trimmed.match(/^-\s+id:\s+(\S+)/);
             const columnId = match[1];
             const columnName = columnId.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
             config.columns.push({ id: columnId, name: columnName });
-        } else if (currentSection === 'columns' && /^\s+name:\s*"?([^"]+)"?/.test(trimmed)) {
-            const match = trimmed.match(/^\s+name:\s*"?([^"]+)"?/);
+        } else if (currentSection === 'columns' && /^name:\s*"?([^"]+)"?/.test(trimmed)) {
+            const match = trimmed.match(/^name:\s*"?([^"]+)"?/);
             const lastIdx = config.columns.length - 1;
             if (lastIdx >= 0) {
-                config.columns[lastIdx].name = match[1].replace(/"/g, '');
+                config.columns[lastIdx].name = match[1].replace(/"/g, '').trim();
+            }
+        } else if (currentSection === 'columns' && /^wip_limit:\s*(\d+)/.test(trimmed)) {
+            const match = trimmed.match(/^wip_limit:\s*(\d+)/);
+            const lastIdx = config.columns.length - 1;
+            if (lastIdx >= 0) {
+                config.columns[lastIdx].wip_limit = parseInt(match[1], 10);
             }
         } else if (currentSection === 'priorities' && /^-\s+(\S+)/.test(trimmed)) {
             const match = trimmed.match(/^-\s+(\S+)/);
             config.priorities.push(match[1]);
+        } else if (currentSection === 'fields' && /^-\s+id:\s+(\S+)/.test(trimmed)) {
+            const match = trimmed.match(/^-\s+id:\s+(\S+)/);
+            const fieldId = match[1];
+            const fieldName = fieldId.split(/[-_]/).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+            config.fields.push({ id: fieldId, name: fieldName, type: 'string', required: false, options: [] });
+        } else if (currentSection === 'fields' && config.fields.length > 0) {
+            // Parse settings of the most recent field
+            const field = config.fields[config.fields.length - 1];
+            if (/^name:\s*"?([^"]+)"?/.test(trimmed)) {
+                field.name = trimmed.match(/^name:\s*"?([^"]+)"?/)[1].replace(/"/g, '').trim();
+            } else if (/^type:\s*(\S+)/.test(trimmed)) {
+                field.type = trimmed.match(/^type:\s*(\S+)/)[1];
+            } else if (/^required:\s*(\S+)/.test(trimmed)) {
+                field.required = trimmed.match(/^required:\s*(\S+)/)[1] === 'true';
+            } else if (/^options:\s*\[([^\]]*)\]/.test(trimmed)) {
+                const optionsStr = trimmed.match(/^options:\s*\[([^\]]*)\]/)[1].trim();
+                field.options = optionsStr ? optionsStr.split(',').map(o => o.trim()) : [];
+            }
+        } else if (currentSection === 'webhooks' && /^-\s+name:\s*"?([^"]+)"?/.test(trimmed)) {
+            const match = trimmed.match(/^-\s+name:\s*"?([^"]+)"?/);
+            config.webhooks.push({ name: match[1].trim(), url: '', events: [], columns: [], secret: null });
+        } else if (currentSection === 'webhooks' && config.webhooks.length > 0) {
+            // Parse settings of the most recent webhook
+            const hook = config.webhooks[config.webhooks.length - 1];
+            if (/^url:\s*"?([^"\s]+)"?/.test(trimmed)) {
+                hook.url = trimmed.match(/^url:\s*"?([^"\s]+)"?/)[1];
+            } else if (/^(events|columns):\s*\[([^\]]*)\]/.test(trimmed)) {
+                const match = trimmed.match(/^(events|columns):\s*\[([^\]]*)\]/);
+                hook[match[1]] = match[2].trim() ? match[2].split(',').map(v => v.trim()) : [];
+            } else if (/^secret:\s*"?([^"]*)"?/.test(trimmed)) {
+                hook.secret = trimmed.match(/^secret:\s*"?([^"]*)"?/)[1].trim() || null;
+            }
+        } else if (currentSection === 'git') {
+            // Parse auto-commit settings
+            if (/^(auto_commit|skip_index):\s*(\S+)/.test(trimmed)) {
+                const match = trimmed.match(/^(auto_commit|skip_index):\s*(\S+)/);
+                config.git[match[1]] = match[2] === 'true';
+            } else if (/^author:\s*"?([^"]*)"?/.test(trimmed)) {
+                config.git.author = trimmed.match(/^author:\s*"?([^"]*)"?/)[1].trim() || null;
+            } else if (/^batch_seconds:\s*(\d+)/.test(trimmed)) {
+                config.git.batch_seconds = parseInt(trimmed.match(/^batch_seconds:\s*(\d+)/)[1], 10);
+            } else if (/^branch_pattern:\s*"?([^"\s]+)"?/.test(trimmed)) {
+                config.git.branch_pattern = trimmed.match(/^branch_pattern:\s*"?([^"\s]+)"?/)[1];
+            } else if (/^(start_column|finish_column):\s*"?([\w-]+)"?/.test(trimmed)) {
+                const match = trimmed.match(/^(start_column|finish_column):\s*"?([\w-]+)"?/);
+                config.git[match[1]] = match[2];
+            }
+        } else if (currentSection === 'hooks' && /^(closes|refs):\s*"?([\w-]+)"?/.test(trimmed)) {
+            // Columns for tasks that commit messages close or reference
+            const match = trimmed.match(/^(closes|refs):\s*"?([\w-]+)"?/);
+            config.hooks[match[1]] = match[2];
         } else if (currentSection === 'notifications') {
             // Parse notification settings
             if (/^\s*enabled:\s*(\S+)/.test(trimmed)) {
@@ -105,41 +199,272 @@ function parseSimpleYaml(content) {
  * Returns { frontmatter, body }
  */
 function parseFrontmatter(content) {
-    const match = content.match(/^---\s*\n(.*?)\n---\s*\n(.*)$/s);
-    if (!match) {
-        throw new Error('No valid frontmatter found');
+    const doc = parseDocument(content);
+    return { frontmatter: toObject(doc), body: doc.body };
+}
+
+/**
+ * Read a task file, let mutate() change its document, and write it back
+ * Only fields touched through setField/removeField are re-rendered.
+ */
+function modifyTaskFile(filePath, mutate) {
+    const doc = parseDocument(fs.readFileSync(filePath, 'utf8'));
+    mutate(doc);
+    fs.writeFileSync(filePath, serializeDocument(doc));
+    return doc;
+}
+
+/**
+ * Fill {placeholder} values in a task template
+ * Frontmatter placeholders are written through the serializer so values are quoted correctly.
+ * extraFields are added to the frontmatter when the template has no placeholder for them.
+ */
+function fillTemplate(template, values, extraFields = {}) {
+    const doc = parseDocument(template);
+
+    for (const node of doc.nodes) {
+        if (!node.key) continue;
+
+        const inline = node.raw[0].substring(node.raw[0].indexOf(':') + 1).trim();
+        const placeholder = inline.replace(/^["']|["']$/g, '').match(/^\{(\w+)\}$/);
+
+        if (placeholder && values[placeholder[1]] !== undefined) {
+            // An unquoted {name} reads as a flow mapping; the filled value should be plain
+            node.style = inline.startsWith('"') ? 'double' : 'plain';
+            setField(doc, node.key, values[placeholder[1]]);
+        }
     }
 
-    const frontmatterStr = match[1];
-    const body = match[2];
+    for (const [key, value] of Object.entries(extraFields)) {
+        if (!doc.nodes.some(node => node.key === key)) {
+            setField(doc, key, value);
+        }
+    }
 
-    const parsed = {};
-    const lines = frontmatterStr.split('\n');
+    for (const [name, value] of Object.entries(values)) {
+        if (typeof value === 'string') {
+            doc.body = doc.body.replace(`{${name}}`, () => value);
+        }
+    }
 
-    for (const line of lines) {
-        const trimmed = line.trim();
-        const fieldMatch = trimmed.match(/^(\w+):\s*(.+)$/);
-
-        if (fieldMatch) {
-            const key = fieldMatch[1];
-            let value = fieldMatch[2].trim();
-
-            // Handle different value types
-            if (value === '""' || value === "''") {
-                parsed[key] = '';
-            } else if (value.startsWith('"') || value.startsWith("'")) {
-                parsed[key] = value.replace(/^["']|["']$/g, '');
-            } else if (value.startsWith('[')) {
-                // Parse array
-                value = value.replace(/^\[|\]$/g, '');
-                parsed[key] = value ? value.split(',').map(v => v.trim()) : [];
+    return serializeDocument(doc);
+}
+
+/**
+ * Append a line to a "## Heading" section of a markdown body
+ * A missing section is created just before the beforeHeading section if given and
+ * present, otherwise at the end of the body.
+ */
+function appendToSection(body, heading, text, beforeHeading = null) {
+    const lines = body.split('\n');
+    const headingIdx = lines.findIndex(line => line.trim() === `## ${heading}`);
+
+    if (headingIdx === -1) {
+        const beforeIdx = beforeHeading ? lines.findIndex(line => line.trim() === `## ${beforeHeading}`) : -1;
+        if (beforeIdx !== -1) {
+            lines.splice(beforeIdx, 0, `## ${heading}`, text, '');
+            return lines.join('\n');
+        }
+
+        const trimmed = body.replace(/\s+$/, '');
+        return `${trimmed}${trimmed ? '\n\n' : ''}## ${heading}\n${text}\n`;
+    }
+
+    // Find the end of the section, then back up over trailing blank lines
+    let endIdx = headingIdx + 1;
+    while (endIdx < lines.length && !/^## /.test(lines[endIdx])) {
+        endIdx++;
+    }
+
+    let insertIdx = endIdx;
+    while (insertIdx > headingIdx + 1 && lines[insertIdx - 1].trim() === '') {
+        insertIdx--;
+    }
+
+    lines.splice(insertIdx, 0, text);
+
+    // Keep a trailing newline when the section ran to the end of the file
+    if (endIdx === lines.length - 1 && lines[lines.length - 1] !== '') {
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Replace the text of a "## heading" section in a task body
+ * A missing section is added before beforeHeading when that exists, otherwise at the end.
+ */
+function replaceSection(body, heading, text, beforeHeading = null) {
+    const content = text.trim() ? ['', ...text.trim().split('\n'), ''] : ['', '', ''];
+    const lines = body.split('\n');
+    const headingIdx = lines.findIndex(line => line.trim() === `## ${heading}`);
+
+    if (headingIdx === -1) {
+        const beforeIdx = beforeHeading ? lines.findIndex(line => line.trim() === `## ${beforeHeading}`) : -1;
+        if (beforeIdx !== -1) {
+            lines.splice(beforeIdx, 0, `## ${heading}`, ...content);
+            return lines.join('\n');
+        }
+
+        const trimmed = body.replace(/\s+$/, '');
+        return `${trimmed}${trimmed ? '\n\n' : ''}## ${heading}\n${content.join('\n')}\n`;
+    }
+
+    let endIdx = headingIdx + 1;
+    while (endIdx < lines.length && !/^## /.test(lines[endIdx])) {
+        endIdx++;
+    }
+
+    lines.splice(headingIdx + 1, endIdx - headingIdx - 1, ...content);
+
+    return lines.join('\n');
+}
+
+/**
+ * Add a timestamped entry to a parsed task document's History section
+ */
+function addHistoryEntry(doc, message) {
+    const datetime = new Date().toISOString().replace('T', ' ').substring(0, 16);
+    doc.body = appendToSection(doc.body, 'History', `- ${datetime}: ${message}`);
+}
+
+/**
+ * Split a task body into its sections
+ * Returns { description, notes, comments, history, sections }: comments and
+ * history are parsed into entries, and sections holds the text of any other
+ * "## Heading" sections by heading.
+ */
+function parseBodySections(body) {
+    const raw = {};
+    let current = null;
+
+    for (const line of body.split('\n')) {
+        const heading = line.match(/^## (.+?)\s*$/);
+        if (heading) {
+            current = heading[1];
+            raw[current] = [];
+        } else if (current !== null) {
+            raw[current].push(line);
+        }
+    }
+
+    const text = (name) => (raw[name] ? raw[name].join('\n').trim() : '');
+
+    const history = [];
+    for (const line of raw.History || []) {
+        const match = line.match(/^- (\d{4}-\d{2}-\d{2} \d{2}:\d{2}): (.*)$/);
+        if (match) {
+            history.push({ timestamp: match[1], message: match[2] });
+        }
+    }
+
+    // Top-level comments start at column 0, replies are indented one level
+    const comments = [];
+    let last = null;
+    for (const line of raw.Comments || []) {
+        const match = line.match(/^( *)- \*\*(.+?)\*\* \(([^)]*)\): (.*)$/);
+        if (match) {
+            last = { author: match[2], timestamp: match[3], text: match[4] };
+            if (match[1] && comments.length > 0) {
+                comments[comments.length - 1].replies.push(last);
             } else {
-                parsed[key] = value;
+                last.replies = [];
+                comments.push(last);
             }
+        } else if (last && line.trim()) {
+            last.text += '\n' + line.trim();
+        }
+    }
+
+    const sections = {};
+    for (const name of Object.keys(raw)) {
+        if (!['Description', 'Notes', 'Comments', 'History'].includes(name)) {
+            sections[name] = text(name);
+        }
+    }
+
+    return { description: text('Description'), notes: text('Notes'), comments, history, sections };
+}
+
+/**
+ * Name to record as the author of comments: git user.name, falling back to $USER
+ */
+function getCurrentUser() {
+    try {
+        const name = execSync('git config user.name', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+        if (name) return name;
+    } catch (err) {
+        // Not a git checkout, or git is not installed
+    }
+    return process.env.USER || process.env.USERNAME || 'unknown';
+}
+
+/**
+ * Find the top-level comment threads in a task body's "## Comments" section
+ * Each thread spans from its comment to the line before the next top-level comment,
+ * so replies are included; end excludes trailing blank lines.
+ */
+function findCommentThreads(body) {
+    const lines = body.split('\n');
+    const headingIdx = lines.findIndex(line => line.trim() === '## Comments');
+    if (headingIdx === -1) return [];
+
+    let sectionEnd = headingIdx + 1;
+    while (sectionEnd < lines.length && !/^## /.test(lines[sectionEnd])) {
+        sectionEnd++;
+    }
+
+    const threads = [];
+    for (let i = headingIdx + 1; i < sectionEnd; i++) {
+        const match = lines[i].match(/^- \*\*(.+?)\*\* \(([^)]*)\):/);
+        if (match) {
+            threads.push({ line: i, author: match[1], datetime: match[2] });
+        }
+    }
+
+    threads.forEach((thread, i) => {
+        let end = i + 1 < threads.length ? threads[i + 1].line : sectionEnd;
+        while (end > thread.line + 1 && lines[end - 1].trim() === '') {
+            end--;
         }
+        thread.end = end;
+    });
+
+    return threads;
+}
+
+/**
+ * Add a comment to the "## Comments" section of a task document
+ * Comments are list items ("- **author** (timestamp): text") kept above History.
+ * With replyTo (1-based number of a top-level comment) the comment is nested
+ * under that comment's thread instead. datetime ("YYYY-MM-DD HH:MM", UTC)
+ * defaults to now; imports pass the comment's original time.
+ */
+function addComment(doc, author, text, replyTo = null, datetime = null) {
+    datetime = datetime || new Date().toISOString().replace('T', ' ').substring(0, 16);
+    const indent = replyTo ? '  ' : '';
+    const [first, ...rest] = text.trim().split('\n');
+    const entry = [`${indent}- **${author}** (${datetime}): ${first}`]
+        .concat(rest.map(line => (line.trim() ? `${indent}  ${line}` : '')))
+        .join('\n');
+
+    if (!replyTo) {
+        doc.body = appendToSection(doc.body, 'Comments', entry, 'History');
+        return;
+    }
+
+    const threads = findCommentThreads(doc.body);
+    const thread = threads[replyTo - 1];
+    if (!thread) {
+        throw new Error(threads.length === 0
+            ? 'Task has no comments to reply to'
+            : `Comment ${replyTo} not found (task has ${threads.length})`);
     }
 
-    return { frontmatter: parsed, body };
+    const lines = doc.body.split('\n');
+    lines.splice(thread.end, 0, entry);
+    doc.body = lines.join('\n');
 }
 
 /**
@@ -187,6 +512,27 @@ function saveIndex(index, boardPath = '.') {
     fs.writeFileSync(indexFile, JSON.stringify(index, null, 2));
 }
 
+/**
+ * Make sure .flatban/.gitignore lists a file Flatban keeps for itself
+ * Caches and logs are local to each checkout; committed, they would go out of
+ * date at once and conflict on every merge.
+ */
+function ignoreBoardFile(boardPath, name) {
+    const ignoreFile = path.join(boardPath, '.flatban', '.gitignore');
+
+    try {
+        const content = fs.existsSync(ignoreFile)
+            ? fs.readFileSync(ignoreFile, 'utf8')
+            : '# Files Flatban keeps for itself; they are local to each checkout\n';
+        if (content.split('\n').some(line => line.trim() === `/${name}` || line.trim() === name)) {
+            return;
+        }
+        fs.writeFileSync(ignoreFile, content + (content.endsWith('\n') ? '' : '\n') + `/${name}\n`);
+    } catch (err) {
+        // Read-only board: the file just stays visible to git
+    }
+}
+
 /**
  * Load config.yaml from board directory
  */
@@ -205,19 +551,545 @@ function loadConfig(boardPath = '.') {
  * Find task by partial ID
  */
 function findTaskByPartialId(index, partialId) {
+    // Every ID starts with ''
+    if (typeof partialId !== 'string' || !partialId) {
+        throw new Error('Task ID required');
+    }
+
     const matches = Object.keys(index.tasks).filter(id => id.startsWith(partialId));
 
     if (matches.length === 0) {
-        throw new Error(`No task found matching: ${partialId}`);
+        const err = new Error(`No task found matching: ${partialId}`);
+        err.code = 'NOT_FOUND';
+        throw err;
     }
 
     if (matches.length > 1) {
-        throw new Error(`Multiple tasks found matching: ${partialId}\n${matches.join(', ')}`);
+        const err = new Error(`Multiple tasks found matching: ${partialId}\n${matches.join(', ')}`);
+        err.code = 'AMBIGUOUS';
+        throw err;
     }
 
     return matches[0];
 }
 
+/**
+ * Count the tasks currently in a column
+ */
+function countTasksInColumn(index, columnId) {
+    return Object.values(index.tasks).filter(task => task.status === columnId).length;
+}
+
+/**
+ * Generate a rank that sorts strictly between two ranks (null means no bound)
+ * Ranks are base36 fractions compared as plain strings, so placing a card only
+ * ever rewrites that card's rank and concurrent moves merge cleanly in git.
+ * Returns null when no rank fits: after is not above before (duplicate ranks
+ * from a merge), or is before followed by a single 0.
+ */
+function rankBetween(before, after) {
+    const low = before || '';
+    let high = after || null;
+    let rank = '';
+
+    if (high !== null && (high <= low || high === low + '0')) {
+        return null;
+    }
+
+    for (let i = 0; ; i++) {
+        const lowDigit = i < low.length ? BASE36_CHARS.indexOf(low[i]) : 0;
+        const highDigit = high !== null && i < high.length ? BASE36_CHARS.indexOf(high[i]) : 36;
+
+        if (lowDigit === highDigit) {
+            rank += BASE36_CHARS[lowDigit];
+            // after is before padded with 0s; one 0 fewer sorts between them
+            if (rank === high) {
+                return rank.slice(0, -1);
+            }
+            continue;
+        }
+
+        const mid = Math.floor((lowDigit + highDigit) / 2);
+        if (mid > lowDigit) {
+            return rank + BASE36_CHARS[mid];
+        }
+
+        // Adjacent digits: keep the low digit, then anything above the rest of low fits
+        rank += BASE36_CHARS[lowDigit];
+        high = null;
+    }
+}
+
+/**
+ * Order tasks within a column: ranked tasks by rank, then unranked tasks oldest first
+ * Unranked tasks come from boards that predate ranks or hand-written files.
+ */
+function compareTasksByRank(a, b) {
+    if (a.rank && b.rank && a.rank !== b.rank) {
+        return a.rank < b.rank ? -1 : 1;
+    }
+    if (!a.rank !== !b.rank) {
+        return a.rank ? -1 : 1;
+    }
+    return new Date(a.created) - new Date(b.created) || (a.file < b.file ? -1 : a.file > b.file ? 1 : 0);
+}
+
+/**
+ * List a column's tasks ({ id, ...task }) in display order
+ */
+function getColumnTasks(index, columnId) {
+    return Object.entries(index.tasks)
+        .filter(([id, task]) => task.status === columnId)
+        .map(([id, task]) => ({ id, ...task }))
+        .sort(compareTasksByRank);
+}
+
+// Task fields the board can be split into swimlanes by
+const LANE_FIELDS = ['assigned', 'tag', 'priority'];
+
+/**
+ * Resolve a --lanes / ?lanes= value, falling back to the config default
+ * Returns the lane field, or null for a single row of columns.
+ */
+function parseLanesOption(value, config) {
+    const lanes = value === undefined ? config.lanes : value;
+    if (!lanes || lanes === 'none') return null;
+    if (lanes === true || !LANE_FIELDS.includes(lanes)) {
+        throw new Error(`Invalid lanes: ${lanes === true ? '(none)' : lanes}. Valid lanes: ${LANE_FIELDS.join(', ')}, none`);
+    }
+    return lanes;
+}
+
+/**
+ * The lane a task belongs to: its assignee, first tag or priority ('' for none)
+ */
+function getLaneKey(task, laneBy) {
+    if (laneBy === 'assigned') return task.assigned || '';
+    if (laneBy === 'tag') return (task.tags || [])[0] || '';
+    return task.priority || '';
+}
+
+/**
+ * Group tasks into swimlanes
+ * Priority lanes follow the configured priorities, highest first; assignee and
+ * tag lanes are alphabetical with an "Unassigned" / "Untagged" lane last, which
+ * is always present so cards can be dragged out of a lane.
+ * Returns [{ key, label, tasks }].
+ */
+function groupTasksIntoLanes(config, tasks, laneBy) {
+    const byKey = new Map();
+    for (const task of tasks) {
+        const key = getLaneKey(task, laneBy);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(task);
+    }
+
+    let keys;
+    if (laneBy === 'priority') {
+        const configured = config.priorities.slice().reverse();
+        keys = [...configured, ...[...byKey.keys()].filter(key => !configured.includes(key)).sort()];
+    } else {
+        keys = [...byKey.keys()].filter(Boolean).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        keys.push('');
+    }
+
+    const emptyLabel = laneBy === 'assigned' ? 'Unassigned' : laneBy === 'tag' ? 'Untagged' : 'No priority';
+    return keys.map(key => ({
+        key,
+        label: key || emptyLabel,
+        tasks: byKey.get(key) || []
+    }));
+}
+
+/**
+ * Check whether adding one more task to a column would exceed its WIP limit
+ * Returns an error message, or null when the column has room (or no limit).
+ */
+function checkWipLimit(config, index, columnId) {
+    const column = config.columns.find(c => c.id === columnId);
+    if (!column || !column.wip_limit) {
+        return null;
+    }
+
+    const count = countTasksInColumn(index, columnId);
+    if (count + 1 <= column.wip_limit) {
+        return null;
+    }
+
+    return `${column.name} is at its WIP limit (${count}/${column.wip_limit})`;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ */
+function formatLocalDate(date) {
+    const year = date.getFullYear();
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Resolve a due date given as YYYY-MM-DD, today, tomorrow or +Nd / +Nw
+ * Returns YYYY-MM-DD, or throws for anything else.
+ */
+function parseDueDate(input, now = new Date()) {
+    const text = String(input).trim().toLowerCase();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const date = new Date(`${text}T00:00:00`);
+        if (Number.isNaN(date.getTime()) || formatLocalDate(date) !== text) {
+            throw new Error(`Invalid date: ${input}`);
+        }
+        return text;
+    }
+
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (text === 'today') {
+        return formatLocalDate(date);
+    }
+
+    if (text === 'tomorrow') {
+        date.setDate(date.getDate() + 1);
+        return formatLocalDate(date);
+    }
+
+    const relative = text.match(/^\+(\d+)([dw])$/);
+    if (relative) {
+        const days = parseInt(relative[1], 10) * (relative[2] === 'w' ? 7 : 1);
+        date.setDate(date.getDate() + days);
+        return formatLocalDate(date);
+    }
+
+    throw new Error(`Invalid due date: ${input}. Use YYYY-MM-DD, today, tomorrow, +3d or +2w`);
+}
+
+/**
+ * Whether a task is past its due date and not yet in the last (done) column
+ */
+function isOverdue(task, config, today = formatLocalDate(new Date())) {
+    if (!task.due) {
+        return false;
+    }
+    const lastColumn = config.columns[config.columns.length - 1];
+    return task.due < today && (!lastColumn || task.status !== lastColumn.id);
+}
+
+/**
+ * IDs of a task's blockers that are still open (on the board and not in the last column)
+ */
+function getOpenBlockers(index, config, taskId) {
+    const task = index.tasks[taskId];
+    if (!task || !task.blocked_by) {
+        return [];
+    }
+
+    const lastColumn = config.columns[config.columns.length - 1];
+    return task.blocked_by.filter(blockerId => {
+        const blocker = index.tasks[blockerId];
+        return blocker && (!lastColumn || blocker.status !== lastColumn.id);
+    });
+}
+
+/**
+ * Find dependency cycles in blocked_by links
+ * Returns a list of cycles, each as a list of task IDs ending with its first ID.
+ */
+function findDependencyCycles(index) {
+    const cycles = [];
+    const state = {}; // undefined = unvisited, 1 = on current path, 2 = done
+    const pathStack = [];
+
+    function visit(taskId) {
+        state[taskId] = 1;
+        pathStack.push(taskId);
+
+        for (const blockerId of (index.tasks[taskId] || {}).blocked_by || []) {
+            if (!index.tasks[blockerId]) continue;
+
+            if (state[blockerId] === 1) {
+                cycles.push(pathStack.slice(pathStack.indexOf(blockerId)).concat(blockerId));
+            } else if (!state[blockerId]) {
+                visit(blockerId);
+            }
+        }
+
+        pathStack.pop();
+        state[taskId] = 2;
+    }
+
+    for (const taskId of Object.keys(index.tasks)) {
+        if (!state[taskId]) {
+            visit(taskId);
+        }
+    }
+
+    return cycles;
+}
+
+/**
+ * Find markdown checklist items ("- [ ] text" / "- [x] text") in a task body
+ * Items inside fenced code blocks are skipped, matching how the web viewer renders them.
+ */
+function findChecklistItems(body) {
+    const items = [];
+    let inFence = false;
+
+    body.split('\n').forEach((line, lineIdx) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+        if (inFence) return;
+
+        const match = line.match(/^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\](?:\s+(.*))?$/);
+        if (match) {
+            items.push({ line: lineIdx, checked: match[1] !== ' ', text: (match[2] || '').trim() });
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Count done and total checklist items in a task body
+ */
+function countChecklist(body) {
+    const items = findChecklistItems(body);
+    return { done: items.filter(item => item.checked).length, total: items.length };
+}
+
+/**
+ * Check or uncheck the nth (1-based) checklist item in a task body
+ * Returns { body, item }.
+ */
+function setChecklistItem(body, n, checked) {
+    const items = findChecklistItems(body);
+    const item = items[n - 1];
+
+    if (!item) {
+        throw new Error(items.length === 0
+            ? 'Task has no checklist items'
+            : `Checklist item ${n} not found (task has ${items.length})`);
+    }
+
+    const lines = body.split('\n');
+    lines[item.line] = lines[item.line].replace(/\[[ xX]\]/, checked ? '[x]' : '[ ]');
+
+    return { body: lines.join('\n'), item };
+}
+
+/**
+ * Format an index entry's checklist progress as "done/total" ('' without a checklist)
+ */
+function formatChecklistProgress(task) {
+    return task.checklist ? `${task.checklist.done}/${task.checklist.total}` : '';
+}
+
+/**
+ * Validate and normalize a custom field value against its config definition
+ * Throws with a readable message when the value does not match the field type.
+ */
+function normalizeFieldValue(field, value) {
+    switch (field.type) {
+        case 'number': {
+            const number = Number(value);
+            if (value === '' || value === true || Number.isNaN(number)) {
+                throw new Error(`${field.id} must be a number (got "${value}")`);
+            }
+            return number;
+        }
+        case 'date': {
+            const text = String(value);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(new Date(text).getTime())) {
+                throw new Error(`${field.id} must be a date in YYYY-MM-DD format (got "${value}")`);
+            }
+            return text;
+        }
+        case 'enum': {
+            const text = String(value);
+            if (!field.options.includes(text)) {
+                throw new Error(`${field.id} must be one of: ${field.options.join(', ')} (got "${value}")`);
+            }
+            return text;
+        }
+        case 'list': {
+            const items = Array.isArray(value) ? value : String(value).split(',');
+            return items.map(item => String(item).trim()).filter(Boolean);
+        }
+        case 'string':
+            if (typeof value !== 'string') {
+                throw new Error(`${field.id} must be text`);
+            }
+            return value;
+        default:
+            throw new Error(`${field.id} has unknown type "${field.type}" in config.yaml`);
+    }
+}
+
+/**
+ * Collect the custom field values declared in config from a task's frontmatter
+ * Returns { values, errors }; invalid values are left out of values.
+ */
+function readCustomFields(config, frontmatter) {
+    const values = {};
+    const errors = [];
+
+    for (const field of config.fields || []) {
+        const raw = frontmatter[field.id];
+        const missing = raw === undefined || raw === '' || (Array.isArray(raw) && raw.length === 0);
+
+        if (missing) {
+            if (field.required) {
+                errors.push(`${field.id} is required`);
+            }
+            continue;
+        }
+
+        try {
+            values[field.id] = normalizeFieldValue(field, raw);
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Check a custom field value from the index against a filter value from the CLI or web
+ */
+function matchesFieldFilter(field, value, filter) {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return value.includes(filter);
+    }
+    return String(value) === String(filter);
+}
+
+/**
+ * Format a custom field value for display
+ */
+function formatFieldValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Work out when a task was created and last modified
+ * Commit times from loadGitTimes come first (a file with uncommitted changes
+ * takes its modified time from the file instead), then the first and last
+ * History entries, then the file's own timestamps.
+ */
+function getTaskTimes(taskFile, body, gitTimes = null) {
+    const name = path.basename(taskFile);
+    const stats = fs.statSync(taskFile);
+
+    const committed = gitTimes ? gitTimes.files[name] : null;
+    if (committed) {
+        return {
+            created: committed.created,
+            modified: gitTimes.dirty.includes(name) ? stats.mtime.toISOString() : committed.modified
+        };
+    }
+
+    // History times are UTC, to the minute
+    const history = parseBodySections(body).history
+        .map(entry => new Date(`${entry.timestamp.replace(' ', 'T')}:00Z`))
+        .filter(date => !isNaN(date));
+    if (history.length > 0) {
+        return {
+            created: history[0].toISOString(),
+            modified: history[history.length - 1].toISOString()
+        };
+    }
+
+    // birthtime is 0 on filesystems that don't record it
+    return {
+        created: (stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime).toISOString(),
+        modified: stats.mtime.toISOString()
+    };
+}
+
+/**
+ * Build the index entry for a task file
+ * Pass the result of loadGitTimes as gitTimes to take created/modified from git.
+ * Returns { taskId, entry, warnings } or throws when the file cannot be parsed.
+ */
+function buildIndexEntry(config, boardPath, taskFile, columnId, gitTimes = null) {
+    const content = fs.readFileSync(taskFile, 'utf8');
+    const { frontmatter, body } = parseFrontmatter(content);
+
+    const taskId = frontmatter.id;
+    if (!taskId) {
+        return { taskId: null, entry: null, warnings: [`No ID in ${taskFile}`] };
+    }
+
+    const { created, modified } = getTaskTimes(taskFile, body, gitTimes);
+
+    const { values, errors } = readCustomFields(config, frontmatter);
+
+    const entry = {
+        file: path.relative(boardPath, taskFile),
+        title: frontmatter.title || 'Untitled',
+        status: columnId,
+        priority: frontmatter.priority || 'medium',
+        tags: frontmatter.tags || [],
+        assigned: frontmatter.assigned || '',
+        created,
+        modified
+    };
+
+    // Relative dates are resolved when written, so files only ever hold YYYY-MM-DD
+    if (frontmatter.due) {
+        try {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(frontmatter.due)) throw new Error();
+            entry.due = parseDueDate(frontmatter.due);
+        } catch (err) {
+            errors.push(`due must be a date in YYYY-MM-DD format (got "${frontmatter.due}")`);
+        }
+    }
+
+    const blockedBy = Array.isArray(frontmatter.blocked_by)
+        ? frontmatter.blocked_by
+        : (frontmatter.blocked_by ? [frontmatter.blocked_by] : []);
+    if (blockedBy.length > 0) {
+        entry.blocked_by = blockedBy.map(String);
+    }
+
+    if (frontmatter.external_id) {
+        entry.external_id = String(frontmatter.external_id);
+    }
+
+    if (frontmatter.branch) {
+        entry.branch = String(frontmatter.branch);
+    }
+
+    if (frontmatter.rank !== undefined && frontmatter.rank !== '') {
+        entry.rank = String(frontmatter.rank);
+    }
+
+    const checklist = countChecklist(body);
+    if (checklist.total > 0) {
+        entry.checklist = checklist;
+    }
+
+    if (Object.keys(values).length > 0) {
+        entry.fields = values;
+    }
+
+    return {
+        taskId,
+        entry,
+        warnings: errors.map(message => `${taskId}: ${message}`)
+    };
+}
+
 /**
  * Create a slug from a string
  */
@@ -234,11 +1106,7 @@ function slugify(text) {
  * Append to task history
  */
 function appendToHistory(filePath, message) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const datetime = new Date().toISOString().replace('T', ' ').substring(0, 16);
-    const historyEntry = `- ${datetime}: ${message}\n`;
-
-    fs.writeFileSync(filePath, content + historyEntry);
+    modifyTaskFile(filePath, doc => addHistoryEntry(doc, message));
 }
 
 /**
@@ -269,10 +1137,44 @@ module.exports = {
     generateTaskId,
     parseSimpleYaml,
     parseFrontmatter,
+    modifyTaskFile,
+    fillTemplate,
+    appendToSection,
+    replaceSection,
+    parseBodySections,
+    getCurrentUser,
+    ignoreBoardFile,
+    findCommentThreads,
+    addComment,
+    addHistoryEntry,
     loadIndex,
     saveIndex,
     loadConfig,
     findTaskByPartialId,
+    countTasksInColumn,
+    rankBetween,
+    compareTasksByRank,
+    getColumnTasks,
+    LANE_FIELDS,
+    parseLanesOption,
+    getLaneKey,
+    groupTasksIntoLanes,
+    checkWipLimit,
+    formatLocalDate,
+    parseDueDate,
+    isOverdue,
+    getOpenBlockers,
+    findDependencyCycles,
+    findChecklistItems,
+    countChecklist,
+    setChecklistItem,
+    formatChecklistProgress,
+    normalizeFieldValue,
+    readCustomFields,
+    matchesFieldFilter,
+    formatFieldValue,
+    getTaskTimes,
+    buildIndexEntry,
     slugify,
     appendToHistory,
     formatDatetime,
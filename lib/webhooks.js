@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { ignoreBoardFile } = require('./utils');
+const { taskRecord } = require('./format');
+
+/**
+ * Outgoing webhooks
+ *
+ * Hooks are listed under webhooks: in config.yaml. Every board event (create,
+ * move, delete, edit) is POSTed as JSON to the hooks whose event and column
+ * filters match, signed with HMAC-SHA256 when the hook has a secret. Failed
+ * deliveries are retried with exponential backoff. CLI commands wait for one
+ * short attempt only and leave the retries to a detached process (this file,
+ * run with the delivery on stdin), so a dead endpoint doesn't hold them up.
+ * Every failed attempt is appended to .flatban/webhooks.log, which is listed
+ * in .flatban/.gitignore.
+ */
+
+const WEBHOOK_EVENTS = ['create', 'move', 'delete', 'edit'];
+const WEBHOOK_LOG_FILE = 'webhooks.log';
+
+// Wait before each retry; a delivery is tried once, then once per delay
+const RETRY_DELAYS = [1000, 2000, 4000];
+const REQUEST_TIMEOUT = 10000;
+
+// A CLI command waits at most this long for the first attempt at each hook
+const CLI_TIMEOUT = 3000;
+
+/**
+ * Check a hook's event and column filters; an empty filter matches everything
+ * columns are the columns the task was in or moved to.
+ */
+function matchesWebhook(hook, event, columns) {
+    return (hook.events.length === 0 || hook.events.includes(event))
+        && (hook.columns.length === 0 || columns.some(column => hook.columns.includes(column)));
+}
+
+/**
+ * Build the JSON body for an event
+ * Moves carry from/to columns, edits the changes as written to History,
+ * comments the comment's author and text, and deletes from the trash
+ * permanent: true.
+ */
+function buildPayload(config, event, taskId, task, details = {}) {
+    const payload = {
+        event,
+        board: config.name,
+        timestamp: new Date().toISOString(),
+        task: taskRecord(taskId, task)
+    };
+
+    if (event === 'move') {
+        payload.from = details.from;
+        payload.to = task.status;
+    }
+    if (details.changes) {
+        payload.changes = details.changes;
+    }
+    if (details.comment) {
+        payload.comment = details.comment;
+    }
+    if (details.permanent) {
+        payload.permanent = true;
+    }
+
+    return payload;
+}
+
+function signPayload(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * POST a body and resolve with the response status
+ * Network errors and timeouts reject.
+ */
+function postJson(url, body, headers, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            timeout
+        }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`No response after ${timeout / 1000}s`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function logFailure(boardPath, hook, payload, message) {
+    const taskId = payload.task ? payload.task.id : '-';
+    const line = `${new Date().toISOString()} ${hook.name} ${payload.event} ${taskId}: ${message}\n`;
+    try {
+        ignoreBoardFile(boardPath, WEBHOOK_LOG_FILE);
+        fs.appendFileSync(path.join(boardPath, '.flatban', WEBHOOK_LOG_FILE), line);
+    } catch (err) {
+        console.warn(`Could not write ${WEBHOOK_LOG_FILE}: ${err.message}`);
+    }
+}
+
+/**
+ * Deliver a payload to one hook, retrying network errors, timeouts and 408/429/5xx responses
+ * With options.retry = false only one attempt is made. options.attempts stops
+ * after that many attempts with pending set when retries are left, and
+ * options.attempt and options.deliveryId continue such a delivery.
+ * options.timeout is the time allowed for each attempt.
+ * Resolves with { ok, status, error, attempts, deliveryId, pending }; it never rejects.
+ */
+async function deliverWebhook(hook, payload, boardPath, options = {}) {
+    const delays = options.retry === false ? [] : RETRY_DELAYS;
+    const timeout = options.timeout || REQUEST_TIMEOUT;
+    const first = options.attempt || 1;
+    const stop = options.attempts ? first + options.attempts - 1 : Infinity;
+    // The same ID is sent on every retry so receivers can drop duplicates
+    const deliveryId = options.deliveryId || crypto.randomBytes(16).toString('hex');
+
+    let url;
+    try {
+        url = new URL(hook.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+    } catch (err) {
+        const message = `Invalid URL: ${hook.url}`;
+        logFailure(boardPath, hook, payload, message);
+        return { ok: false, status: null, error: message, attempts: 0, deliveryId, pending: false };
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'flatban',
+        'X-Flatban-Event': payload.event,
+        'X-Flatban-Delivery': deliveryId
+    };
+    if (hook.secret) {
+        headers['X-Flatban-Signature'] = signPayload(hook.secret, body);
+    }
+
+    for (let attempt = first; ; attempt++) {
+        if (attempt > 1) {
+            await new Promise(resolve => setTimeout(resolve, delays[attempt - 2]));
+        }
+
+        let status = null;
+        let failure;
+        let retryable = true;
+
+        try {
+            status = await postJson(url, body, headers, timeout);
+            if (status >= 200 && status < 300) {
+                return { ok: true, status, error: null, attempts: attempt, deliveryId, pending: false };
+            }
+            failure = `HTTP ${status}`;
+            retryable = status === 408 || status === 429 || status >= 500;
+        } catch (err) {
+            failure = err.message;
+        }
+
+        const last = !retryable || attempt > delays.length;
+        const pending = !last && attempt >= stop;
+        logFailure(boardPath, hook, payload,
+            `attempt ${attempt} failed: ${failure}${last ? ' (giving up)' : pending ? ' (retrying in the background)' : ''}`);
+
+        if (last || pending) {
+            return { ok: false, status, error: failure, attempts: attempt, deliveryId, pending };
+        }
+    }
+}
+
+/**
+ * Hand the rest of a pending delivery to a detached process that outlives the CLI command
+ * The hook goes over stdin rather than the command line, which would show its secret.
+ */
+function retryInBackground(hook, payload, boardPath, result) {
+    const giveUp = err => logFailure(boardPath, hook, payload, `could not retry: ${err.message} (giving up)`);
+    try {
+        const child = spawn(process.execPath, [__filename], {
+            cwd: path.resolve(boardPath),
+            detached: true,
+            stdio: ['pipe', 'ignore', 'ignore']
+        });
+        child.on('error', giveUp);
+        child.stdin.on('error', giveUp);
+        child.stdin.end(JSON.stringify({ hook, payload, attempt: result.attempts + 1, deliveryId: result.deliveryId }));
+        child.unref();
+    } catch (err) {
+        giveUp(err);
+    }
+}
+
+/**
+ * Send an event about a task to every matching hook
+ * Deliveries run in the background; the returned promise resolves with their
+ * results once all are done, and a warning is printed for each one that failed.
+ * CLI commands pass options.detachRetries: they wait for one attempt of at
+ * most CLI_TIMEOUT per hook, and failed deliveries are retried by retryInBackground.
+ */
+function sendWebhooks(config, event, taskId, task, details, boardPath, options = {}) {
+    const columns = [task.status, details.from].filter(Boolean);
+    const hooks = (config.webhooks || []).filter(hook => matchesWebhook(hook, event, columns));
+
+    if (hooks.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    const payload = buildPayload(config, event, taskId, task, details);
+
+    const delivery = options.detachRetries ? { attempts: 1, timeout: CLI_TIMEOUT } : {};
+
+    return Promise.all(hooks.map(hook => deliverWebhook(hook, payload, boardPath, delivery).then(result => {
+        if (result.pending) {
+            retryInBackground(hook, payload, boardPath, result);
+            console.warn(`Webhook "${hook.name}" failed: ${result.error}; retrying in the background (see .flatban/${WEBHOOK_LOG_FILE})`);
+        } else if (!result.ok) {
+            console.warn(`Webhook "${hook.name}" failed: ${result.error} (see .flatban/${WEBHOOK_LOG_FILE})`);
+        }
+        return result;
+    })));
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_LOG_FILE,
+    buildPayload,
+    signPayload,
+    deliverWebhook,
+    sendWebhooks
+};
+
+// Run by retryInBackground, in the board directory
+if (require.main === module) {
+    let input = '';
+    process.stdin.on('data', chunk => {
+        input += chunk;
+    });
+    process.stdin.on('end', () => {
+        const { hook, payload, attempt, deliveryId } = JSON.parse(input);
+        deliverWebhook(hook, payload, '.', { attempt, deliveryId });
+    });
+}